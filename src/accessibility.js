@@ -0,0 +1,87 @@
+const fs = require('fs');
+
+/**
+ * Accessibility audits run with axe-core, injected into the page (or frame) under test.
+ * Violations are ranked by axe's impact levels; an audit fails on violations at or above
+ * the requested level.
+ */
+
+const IMPACT_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+
+let axeSource = null;
+const readAxeSource = () => {
+    if (!axeSource) {
+        axeSource = fs.readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8');
+    }
+    return axeSource;
+};
+
+const impactRank = (impact) => IMPACT_LEVELS.indexOf(impact);
+
+/**
+ * Runs axe-core in a page or frame.
+ * @param {Object} frame - Playwright Page or Frame to audit.
+ * @param {Object} options
+ * @param {string} options.impact - Lowest impact that fails the audit (default 'serious').
+ * @param {Array<string>} options.include - CSS selectors to restrict the audit to.
+ * @param {Array<string>} options.exclude - CSS selectors to leave out of the audit.
+ * @param {Array<string>} options.tags - axe rule tags, e.g. ['wcag2a', 'wcag2aa'].
+ * @param {Array<string>} options.disableRules - axe rule ids to skip.
+ * @returns {Promise<Object>} - `{ success, message, violations }`; every violation carries
+ *   `blocking` and its nodes' selectors.
+ */
+async function auditAccessibility(frame, { impact = 'serious', include, exclude, tags, disableRules } = {}) {
+    if (impactRank(impact) === -1) {
+        throw new Error(`Unsupported impact level: ${impact} (use ${IMPACT_LEVELS.join(', ')})`);
+    }
+
+    const loaded = await frame.evaluate(() => typeof window.axe !== 'undefined');
+    if (!loaded) {
+        await frame.addScriptTag({ content: readAxeSource() });
+    }
+
+    const context = {};
+    if (include?.length) context.include = include.map(selector => [selector]);
+    if (exclude?.length) context.exclude = exclude.map(selector => [selector]);
+
+    const runOptions = { resultTypes: ['violations'] };
+    if (tags?.length) runOptions.runOnly = { type: 'tag', values: tags };
+    if (disableRules?.length) {
+        runOptions.rules = Object.fromEntries(disableRules.map(rule => [rule, { enabled: false }]));
+    }
+
+    const results = await frame.evaluate(
+        ({ context, runOptions }) => window.axe.run(Object.keys(context).length ? context : document, runOptions),
+        { context, runOptions }
+    );
+
+    const violations = results.violations.map(violation => ({
+        id: violation.id,
+        impact: violation.impact,
+        blocking: impactRank(violation.impact) >= impactRank(impact),
+        help: violation.help,
+        helpUrl: violation.helpUrl,
+        nodes: violation.nodes.map(node => ({
+            target: node.target,
+            html: node.html,
+            failureSummary: node.failureSummary
+        }))
+    }));
+
+    const blocking = violations.filter(violation => violation.blocking);
+    const success = blocking.length === 0;
+    const summary = blocking.slice(0, 5).map(violation => `${violation.id} (${violation.impact}, ${violation.nodes.length} node(s))`).join(', ');
+
+    return {
+        success,
+        message: success
+            ? `No accessibility violations at or above "${impact}" (${violations.length} lower-impact violation(s))`
+            : `${blocking.length} accessibility violation(s) at or above "${impact}": ${summary}`,
+        violations
+    };
+}
+
+module.exports = {
+    IMPACT_LEVELS,
+    auditAccessibility
+};
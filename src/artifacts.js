@@ -0,0 +1,67 @@
+const fs = require('fs/promises');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Run artifacts (traces, videos, ...) live under ARTIFACTS_DIR/<runId>/ and are
+ * served by the API at /artifacts. ARTIFACTS_BASE_URL makes the links absolute.
+ */
+
+const artifactsRoot = () => path.resolve(process.env.ARTIFACTS_DIR || 'artifacts');
+
+/**
+ * Path of a run artifact (nothing is created on disk).
+ * @param {string} runId - The run the artifact belongs to.
+ * @param {...string} parts - Path segments below the run directory.
+ * @returns {string} - Absolute file path.
+ */
+function artifactFile(runId, ...parts) {
+    const safeParts = [runId, ...parts].map(part => String(part).replace(/[^\w.-]+/g, '_'));
+    // Empty, '.' and '..' segments would leave the run directory
+    if (safeParts.some(part => /^\.*$/.test(part))) {
+        throw new Error(`Invalid artifact path: ${safeParts.join('/')}`);
+    }
+    return path.join(artifactsRoot(), ...safeParts);
+}
+
+/**
+ * Builds (and creates the parent directory of) a path for a run artifact.
+ * @param {string} runId - The run the artifact belongs to.
+ * @param {...string} parts - Path segments below the run directory.
+ * @returns {Promise<string>} - Absolute file path.
+ */
+async function artifactPath(runId, ...parts) {
+    const filePath = artifactFile(runId, ...parts);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    return filePath;
+}
+
+/**
+ * Public URL for an artifact file.
+ * @param {string} filePath - Absolute path inside ARTIFACTS_DIR.
+ * @returns {string}
+ */
+function artifactUrl(filePath) {
+    const relative = path.relative(artifactsRoot(), filePath).split(path.sep).map(encodeURIComponent).join('/');
+    const baseUrl = (process.env.ARTIFACTS_BASE_URL || '').replace(/\/$/, '');
+    return `${baseUrl}/artifacts/${relative}`;
+}
+
+/**
+ * Link that opens a trace in the hosted Playwright trace viewer.
+ * Only available when ARTIFACTS_BASE_URL makes the trace reachable from the browser.
+ * @param {string} traceUrl - Public URL of the trace zip.
+ * @returns {string|null}
+ */
+function traceViewerUrl(traceUrl) {
+    if (!/^https?:\/\//.test(traceUrl)) return null;
+    return `https://trace.playwright.dev/?trace=${encodeURIComponent(traceUrl)}`;
+}
+
+module.exports = {
+    artifactsRoot,
+    artifactFile,
+    artifactPath,
+    artifactUrl,
+    traceViewerUrl
+};
@@ -0,0 +1,633 @@
+const { delay, normalizeUrl, matchPattern } = require('./utils');
+const { baselineKey, compareWithBaseline } = require('./visual');
+const { auditAccessibility } = require('./accessibility');
+
+// How long a failing assertion is retried before it is reported, unless configured otherwise
+const DEFAULT_ASSERTION_TIMEOUT_MS = 5000;
+const POLL_INTERVAL_MS = 250;
+
+// Evaluated once: they wait on their own, write artifacts, or only get worse over time
+const NOT_RETRIED = new Set([
+    'screenshotMatches', 'accessibilityAudit', 'noConsoleErrors',
+    'requestMade', 'responseStatus', 'responseJson',
+    'downloadStarted', 'downloadFilename', 'downloadMimeType', 'downloadMinSize',
+    'dialogHasMessage'
+]);
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+const OPERATORS = {
+    equals: 'to equal',
+    contains: 'to contain',
+    startsWith: 'to start with',
+    endsWith: 'to end with',
+    matches: 'to match',
+    greaterThan: 'to be greater than',
+    greaterThanOrEqual: 'to be greater than or equal to',
+    lessThan: 'to be less than',
+    lessThanOrEqual: 'to be less than or equal to'
+};
+
+/**
+ * An error in the assertion itself (not in the page): retrying cannot make it pass.
+ */
+const configurationError = (message) => Object.assign(new Error(message), { final: true });
+
+/**
+ * Parses numbers out of displayed text such as "$1,299.00" or "42 items".
+ */
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    const cleaned = String(value ?? '').replace(/[^0-9.+-]/g, '');
+    return cleaned === '' ? NaN : Number(cleaned);
+};
+
+/**
+ * Compares an actual value with `assertion.value` using the assertion's comparison options.
+ * @param {*} actual - The value read from the page.
+ * @param {Object} assertion - `{ value, operator, not, caseSensitive }`.
+ * @param {Object} defaults - `{ operator, caseSensitive }` used when the assertion does not set them.
+ * @returns {Object} - `{ success, expectation }`, e.g. `{ success: false, expectation: 'not to contain "Error"' }`.
+ */
+function compareValues(actual, assertion, defaults) {
+    const operator = assertion.operator || defaults.operator;
+    const caseSensitive = assertion.caseSensitive ?? defaults.caseSensitive;
+    const negate = !!assertion.not;
+
+    if (!OPERATORS[operator]) {
+        throw configurationError(`Unsupported operator: ${operator}`);
+    }
+
+    const expectedRaw = assertion.value ?? '';
+    const normalize = (value) => (caseSensitive ? String(value ?? '') : String(value ?? '').toLowerCase());
+    const actualText = normalize(actual);
+    const expectedText = normalize(expectedRaw);
+    let matched;
+
+    switch (operator) {
+        case 'equals':
+            matched = actualText === expectedText;
+            break;
+        case 'contains':
+            matched = actualText.includes(expectedText);
+            break;
+        case 'startsWith':
+            matched = actualText.startsWith(expectedText);
+            break;
+        case 'endsWith':
+            matched = actualText.endsWith(expectedText);
+            break;
+        case 'matches': {
+            let pattern;
+            try {
+                pattern = new RegExp(String(expectedRaw), caseSensitive ? '' : 'i');
+            } catch (error) {
+                throw configurationError(`Invalid pattern /${expectedRaw}/: ${error.message}`);
+            }
+            matched = pattern.test(String(actual ?? ''));
+            break;
+        }
+        default: {
+            const actualNumber = toNumber(actual);
+            const expectedNumber = toNumber(expectedRaw);
+            if (Number.isNaN(actualNumber) || Number.isNaN(expectedNumber)) {
+                matched = false;
+                break;
+            }
+            matched = {
+                greaterThan: actualNumber > expectedNumber,
+                greaterThanOrEqual: actualNumber >= expectedNumber,
+                lessThan: actualNumber < expectedNumber,
+                lessThanOrEqual: actualNumber <= expectedNumber
+            }[operator];
+        }
+    }
+
+    const shownValue = operator === 'matches' ? `/${expectedRaw}/` : `"${expectedRaw}"`;
+    return {
+        success: negate ? !matched : matched,
+        expectation: `${negate ? 'not ' : ''}${OPERATORS[operator]} ${shownValue}`
+    };
+}
+
+/**
+ * Builds the `{ success, message }` verdict for a value comparison.
+ * @param {string} subject - What was read, e.g. 'Title' or 'Attribute "href"'.
+ */
+function verdict(subject, actual, assertion, defaults) {
+    const { success, expectation } = compareValues(actual, assertion, defaults);
+    const shownActual = actual === null || actual === undefined ? 'not set' : `"${actual}"`;
+    return {
+        success,
+        message: success
+            ? `${subject} is ${shownActual} (expected ${expectation})`
+            : `${subject} is ${shownActual}, expected ${expectation}`
+    };
+}
+
+/**
+ * Current value of a form control (or text of a contenteditable element).
+ */
+async function readValue(locator) {
+    return locator.first().evaluate((el) => ('value' in el ? el.value : el.textContent) || "");
+}
+
+/**
+ * Reads a value from localStorage or sessionStorage.
+ */
+async function readStorage(frame, storageType, key) {
+    return frame.evaluate(({ storageType, key }) => window[storageType].getItem(key), { storageType, key });
+}
+
+/**
+ * Polls the step's captured traffic until a request matching the assertion shows up.
+ * Responses often land shortly after the action itself, hence the wait.
+ * @param {AutomationService} service
+ * @param {Object} assertion - `{ url, method, timeout }`.
+ * @param {Function} ready - Extra condition on the entry (e.g. response received).
+ * @returns {Promise<Object|null>} - The last matching traffic entry, or null.
+ */
+async function waitForTraffic(service, assertion, ready = () => true) {
+    const timeout = assertion.timeout ?? 5000;
+    const method = assertion.method ? String(assertion.method).toUpperCase() : null;
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+        const matches = service.traffic.filter(entry =>
+            matchPattern(assertion.url, entry.url) && (!method || entry.method === method)
+        );
+        const entry = [...matches].reverse().find(ready);
+        if (entry || Date.now() >= deadline) {
+            return entry || null;
+        }
+        await delay(100);
+    }
+}
+
+/**
+ * Polls the step's downloads until one has started.
+ * @param {AutomationService} service
+ * @param {Object} assertion - `{ timeout }` (default 5000 ms).
+ * @returns {Promise<Object|null>} - The first download entry of the step, or null.
+ */
+async function waitForDownload(service, assertion) {
+    const deadline = Date.now() + (assertion.timeout ?? 5000);
+    while (service.downloads.length === 0 && Date.now() < deadline) {
+        await delay(100);
+    }
+    return service.downloads[0] || null;
+}
+
+/**
+ * Reads a dotted path such as "data.items.0.id" out of a parsed JSON body.
+ */
+function readJsonPath(body, path) {
+    if (!path) return body;
+    return String(path).split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), body);
+}
+
+/**
+ * Evaluates the assertions recorded on an action.
+ * Value assertions accept `operator` (see OPERATORS), `not` and `caseSensitive`; each type
+ * keeps its historical default (e.g. pageHasTitle: case-insensitive contains).
+ * Element assertions look at the live DOM: the recorded element is resolved through
+ * `service.resolveSelector` inside the action's frame and its current state is checked.
+ * Page text, storage and cookies are read in that frame too; title and URL assertions are about
+ * the tab itself and always read the top-level page.
+ * Network assertions (requestMade, responseStatus, responseJson) look at `service.traffic`,
+ * the requests sent since the action started; noConsoleErrors looks at errors logged since then and
+ * download assertions at the downloads started since then.
+ * @param {Object} action - The recorded action with its `assertions` map and `element`.
+ * @param {AutomationService} service - The service driving the page.
+ * @param {Object} options
+ * @param {Object} options.frame - Frame the action ran in (defaults to the page).
+ * @param {boolean} options.soft - Evaluate every assertion instead of stopping at the first failure.
+ * @param {Object} options.testContext - `{ runId, testCaseId, browser, sequence }`, needed by visual assertions.
+ * @param {number} options.timeout - How long a failing assertion is retried, in ms; `assertion.timeout` overrides it.
+ * @returns {Promise<Array>} - `{ type, message, success, waitedMs }` entries (some types add details, e.g. images).
+ */
+async function runAssertions(action, service, { frame = service.page, soft = false, testContext = {}, timeout: defaultTimeout = DEFAULT_ASSERTION_TIMEOUT_MS } = {}) {
+    const results = [];
+    const assertions = action.assertions || {};
+    const page = service.page;
+    const element = action.element;
+
+    // Resolved once per action, on first success; while retrying, a lookup never outlasts the assertion's timeout.
+    // Assertions never heal a locator themselves: a guess could make them pass against another element.
+    // They do follow a heal made by the step's action, which acted on that element.
+    // The element only has to be attached: hidden or disabled elements are asserted on too.
+    let resolved = null;
+    let deadline = Date.now();
+    const locateElement = async () => {
+        if (!resolved) {
+            const healed = element && service.healedLocators?.get(element);
+            if (healed) {
+                resolved = { selector: healed.selector, locator: frame.locator(healed.selector) };
+                return resolved.locator;
+            }
+            const remaining = deadline - Date.now();
+            const lookupTimeout = remaining > 0 ? Math.min(3000, Math.max(POLL_INTERVAL_MS, remaining)) : 3000;
+            const { selector, found } = await service.resolveSelector(element, frame, lookupTimeout, { heal: false, state: 'attached' });
+            if (!found) return null;
+            resolved = { selector, locator: frame.locator(selector) };
+        }
+        return resolved.locator;
+    };
+
+    // Evaluates one assertion against the current state of the page
+    const evaluate = async (type, assertion) => {
+        const expected = assertion.value || "";
+        let success = true;
+        let message = "";
+        let details = {};
+        let final = false;
+
+        try {
+            switch (type) {
+                case 'ValidEmail': {
+                    const locator = await locateElement();
+                    if (!locator) {
+                        success = false;
+                        message = "Element not found";
+                        break;
+                    }
+                    const value = await readValue(locator);
+                    success = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value || "");
+                    message = success ? "Valid email" : `Invalid email "${value}"`;
+                    break;
+                }
+
+                case 'formHasValue': {
+                    const locator = await locateElement();
+                    if (!locator) {
+                        success = false;
+                        message = "Element not found";
+                        break;
+                    }
+                    const value = await readValue(locator);
+                    ({ success, message } = verdict("Value", value, assertion, { operator: 'equals', caseSensitive: true }));
+                    break;
+                }
+
+                case 'pageHasTitle': {
+                    const title = await page.title();
+                    ({ success, message } = verdict("Title", title, assertion, { operator: 'contains', caseSensitive: false }));
+                    break;
+                }
+
+                case 'pageHasText': {
+                    const pageText = await frame.evaluate(() => document.body.innerText);
+                    // The whole page text is too long to echo back in the message
+                    const { success: matched, expectation } = compareValues(pageText, assertion, { operator: 'contains', caseSensitive: false });
+                    success = matched;
+                    message = success
+                        ? `Page text is as expected (${expectation})`
+                        : `Expected page text ${expectation}`;
+                    break;
+                }
+
+                case 'elementHasText': {
+                    const locator = await locateElement();
+                    if (!locator) {
+                        success = false;
+                        message = "Element not found";
+                        break;
+                    }
+                    const actualText = (await locator.first().textContent())?.trim() || "";
+                    ({ success, message } = verdict("Element text", actualText, assertion, { operator: 'contains', caseSensitive: false }));
+                    break;
+                }
+
+                case "elementIsVisible": {
+                    const locator = await locateElement();
+                    success = !!locator && await locator.first().isVisible();
+                    message = success ? "Element is visible" : "Element is not visible";
+                    break;
+                }
+
+                case "elementIsHidden": {
+                    const locator = await locateElement();
+                    success = !locator || !(await locator.first().isVisible());
+                    message = success ? "Element is hidden" : "Element is visible";
+                    break;
+                }
+
+                case "elementIsEnabled":
+                case "elementIsDisabled": {
+                    const locator = await locateElement();
+                    if (!locator) {
+                        success = false;
+                        message = "Element not found";
+                        break;
+                    }
+                    const enabled = await locator.first().isEnabled();
+                    success = type === "elementIsEnabled" ? enabled : !enabled;
+                    message = enabled ? "Element is enabled" : "Element is disabled";
+                    break;
+                }
+
+                case "elementIsChecked":
+                case "elementIsUnchecked": {
+                    const locator = await locateElement();
+                    if (!locator) {
+                        success = false;
+                        message = "Element not found";
+                        break;
+                    }
+                    const checked = await locator.first().isChecked();
+                    success = type === "elementIsChecked" ? checked : !checked;
+                    message = checked ? "Element is checked" : "Element is not checked";
+                    break;
+                }
+
+                case "elementCount": {
+                    // The recorded element's own locators match exactly one element by construction
+                    if (!assertion.selector) {
+                        throw configurationError('elementCount requires a selector');
+                    }
+                    const count = await frame.locator(assertion.selector).count();
+                    ({ success, message } = verdict("Element count", count, assertion, { operator: 'equals', caseSensitive: true }));
+                    break;
+                }
+
+                case "elementHasAttribute": {
+                    const locator = await locateElement();
+                    if (!locator) {
+                        success = false;
+                        message = "Element not found";
+                        break;
+                    }
+                    const actual = await locator.first().getAttribute(assertion.attribute);
+                    ({ success, message } = verdict(`Attribute "${assertion.attribute}"`, actual, assertion, { operator: 'equals', caseSensitive: true }));
+                    break;
+                }
+
+                case "elementHasCss": {
+                    const locator = await locateElement();
+                    if (!locator) {
+                        success = false;
+                        message = "Element not found";
+                        break;
+                    }
+                    const actual = await locator.first().evaluate(
+                        (el, property) => window.getComputedStyle(el).getPropertyValue(property),
+                        assertion.property
+                    );
+                    ({ success, message } = verdict(`CSS "${assertion.property}"`, actual.trim(), assertion, { operator: 'equals', caseSensitive: true }));
+                    break;
+                }
+
+                case "urlEquals": {
+                    // Trailing slashes are not significant when comparing whole URLs
+                    const normalized = { ...assertion, value: normalizeUrl(expected) };
+                    ({ success, message } = verdict("URL", normalizeUrl(page.url()), normalized, { operator: 'equals', caseSensitive: true }));
+                    break;
+                }
+
+                case "urlContains":
+                    ({ success, message } = verdict("URL", page.url(), assertion, { operator: 'contains', caseSensitive: true }));
+                    break;
+
+                case "urlMatches":
+                    ({ success, message } = verdict("URL", page.url(), assertion, { operator: 'matches', caseSensitive: true }));
+                    break;
+
+                case "localStorageHasValue":
+                case "sessionStorageHasValue": {
+                    const storageType = type === "localStorageHasValue" ? "localStorage" : "sessionStorage";
+                    const actual = await readStorage(frame, storageType, assertion.key);
+                    ({ success, message } = verdict(`${storageType} "${assertion.key}"`, actual, assertion, { operator: 'equals', caseSensitive: true }));
+                    if (actual === null && !assertion.not) success = false;
+                    break;
+                }
+
+                case "cookieHasValue": {
+                    const cookies = await page.context().cookies(frame.url());
+                    const cookie = cookies.find((c) => c.name === assertion.name);
+                    ({ success, message } = verdict(`Cookie "${assertion.name}"`, cookie ? cookie.value : null, assertion, { operator: 'equals', caseSensitive: true }));
+                    if (!cookie && !assertion.not) success = false;
+                    break;
+                }
+
+                case "screenshotMatches": {
+                    if (!testContext.runId) {
+                        throw new Error("Visual assertions require a run context");
+                    }
+
+                    const mask = (assertion.mask || []).map((selector) => frame.locator(selector));
+                    const screenshotOptions = { mask, animations: 'disabled' };
+                    let screenshot;
+
+                    if (assertion.target === 'element') {
+                        const locator = await locateElement();
+                        if (!locator) {
+                            success = false;
+                            message = "Element not found";
+                            break;
+                        }
+                        screenshot = await locator.first().screenshot(screenshotOptions);
+                    } else {
+                        screenshot = await page.screenshot({ ...screenshotOptions, fullPage: !!assertion.fullPage });
+                    }
+
+                    const key = baselineKey({ ...testContext, name: assertion.name });
+                    const comparison = await compareWithBaseline({
+                        runId: testContext.runId,
+                        key,
+                        screenshot,
+                        threshold: assertion.threshold ?? 0.1,
+                        maxDiffPixelRatio: assertion.maxDiffPixelRatio ?? 0,
+                        maskRegions: assertion.maskRegions || []
+                    });
+
+                    details = {
+                        baselineKey: key,
+                        diffRatio: comparison.diffRatio,
+                        images: comparison.images
+                    };
+                    success = comparison.status === 'match' || comparison.status === 'baselineCreated';
+
+                    if (comparison.status === 'baselineCreated') {
+                        message = "Baseline created";
+                    } else if (comparison.status === 'sizeMismatch') {
+                        message = comparison.message;
+                    } else {
+                        const percent = (comparison.diffRatio * 100).toFixed(2);
+                        message = success
+                            ? `Screenshot matches baseline (${percent}% different)`
+                            : `Screenshot differs from baseline: ${comparison.diffPixels} pixels (${percent}%)`;
+                    }
+                    break;
+                }
+
+                case "requestMade": {
+                    const entry = await waitForTraffic(service, assertion);
+                    const what = `${assertion.method ? `${String(assertion.method).toUpperCase()} ` : ''}request to ${assertion.url}`;
+                    success = assertion.not ? !entry : !!entry;
+                    if (assertion.not) {
+                        message = entry ? `Unexpected ${what} was made` : `No ${what} was made`;
+                    } else {
+                        message = entry ? `${what} was made` : `Expected ${what}, but none was made`;
+                    }
+                    break;
+                }
+
+                case "responseStatus": {
+                    const entry = await waitForTraffic(service, assertion, e => e.status !== null || e.failure);
+                    if (!entry) {
+                        success = false;
+                        message = `No response for request to ${assertion.url}`;
+                        break;
+                    }
+                    if (entry.failure) {
+                        success = false;
+                        message = `Request to ${entry.url} failed: ${entry.failure}`;
+                        break;
+                    }
+                    const statusClass = String(assertion.value ?? '').match(/^([1-5])xx$/i);
+                    if (statusClass) {
+                        const matched = Math.floor(entry.status / 100) === Number(statusClass[1]);
+                        success = assertion.not ? !matched : matched;
+                        message = `Response status of ${entry.url} is ${entry.status}${success ? ' (expected ' : ', expected '}${assertion.not ? 'not ' : ''}${assertion.value}${success ? ')' : ''}`;
+                    } else {
+                        ({ success, message } = verdict(`Response status of ${entry.url}`, entry.status, assertion, { operator: 'equals', caseSensitive: true }));
+                    }
+                    break;
+                }
+
+                case "responseJson": {
+                    const entry = await waitForTraffic(service, assertion, e => !!e.response || e.failure);
+                    if (!entry || !entry.response) {
+                        success = false;
+                        message = entry ? `Request to ${entry.url} failed: ${entry.failure}` : `No response for request to ${assertion.url}`;
+                        break;
+                    }
+                    const body = await entry.response.json();
+                    const actual = readJsonPath(body, assertion.path);
+                    const shown = actual !== null && typeof actual === 'object' ? JSON.stringify(actual) : actual;
+                    ({ success, message } = verdict(`Response field "${assertion.path || '(body)'}"`, shown, assertion, { operator: 'equals', caseSensitive: true }));
+                    if (actual === undefined && !assertion.not) success = false;
+                    break;
+                }
+
+                case "noConsoleErrors": {
+                    // Errors are often logged right after the action settles
+                    await delay(assertion.settleMs ?? 500);
+                    const ignore = assertion.ignore || [];
+                    const errors = service.newErrors().filter(error =>
+                        !ignore.some(pattern => matchPattern(pattern, error.message) || (error.url && matchPattern(pattern, error.url)))
+                    );
+                    details = { errors };
+                    success = errors.length === 0;
+                    message = success
+                        ? "No console errors"
+                        : `${errors.length} console error(s): ${errors.slice(0, 3).map(error => error.message).join(' | ')}`;
+                    break;
+                }
+
+                case "accessibilityAudit": {
+                    const audit = await auditAccessibility(frame, assertion);
+                    details = { violations: audit.violations };
+                    ({ success, message } = audit);
+                    break;
+                }
+
+                case "dialogHasMessage": {
+                    const dialog = service.dialogs[service.dialogs.length - 1] || await service.waitForDialog(assertion.timeout ?? 5000);
+                    if (!dialog) {
+                        success = false;
+                        message = "No JavaScript dialog appeared";
+                        break;
+                    }
+                    details = { dialog: { type: dialog.type, message: dialog.message } };
+                    ({ success, message } = verdict(`${dialog.type} dialog message`, dialog.message, assertion, { operator: 'contains', caseSensitive: false }));
+                    break;
+                }
+
+                case "downloadStarted": {
+                    const entry = await waitForDownload(service, assertion);
+                    success = !!entry;
+                    message = success
+                        ? "Download has started"
+                        : "Expected download to start, but it did not within timeout";
+                    break;
+                }
+
+                case "downloadFilename":
+                case "downloadMimeType":
+                case "downloadMinSize": {
+                    const entry = await waitForDownload(service, assertion);
+                    if (!entry) {
+                        success = false;
+                        message = "No download started";
+                        break;
+                    }
+                    const info = await service.describeDownload(entry);
+                    if (info.failure) {
+                        success = false;
+                        message = `Download of "${info.suggestedFilename}" failed: ${info.failure}`;
+                        break;
+                    }
+                    details = { download: { suggestedFilename: info.suggestedFilename, mimeType: info.mimeType, size: info.size } };
+
+                    if (type === "downloadFilename") {
+                        ({ success, message } = verdict("Download filename", info.suggestedFilename, assertion, { operator: 'equals', caseSensitive: true }));
+                    } else if (type === "downloadMimeType") {
+                        ({ success, message } = verdict("Download MIME type", info.mimeType, assertion, { operator: 'contains', caseSensitive: false }));
+                        if (info.mimeType === null && !assertion.not) success = false;
+                    } else {
+                        const minSize = toNumber(assertion.value);
+                        success = info.size !== null && info.size >= minSize;
+                        message = success
+                            ? `Download size is ${info.size} bytes (expected at least ${minSize})`
+                            : `Download size is ${info.size ?? 'unknown'} bytes, expected at least ${minSize}`;
+                    }
+                    break;
+                }
+
+                default:
+                    message = `⚠️ Unsupported assertion: ${type}`;
+                    success = false;
+                    final = true;
+                    break;
+            }
+        } catch (error) {
+            success = false;
+            message = error.message;
+            final = !!error.final;
+        }
+        return { success, message, details, final };
+    };
+
+    for (const [type, assertion] of Object.entries(assertions)) {
+        console.log("type", type);
+        const timeout = NOT_RETRIED.has(type) ? 0 : Math.max(0, assertion.timeout ?? defaultTimeout);
+        const startedAt = Date.now();
+        deadline = startedAt + timeout;
+
+        // Retry until the assertion passes or its timeout runs out
+        let outcome = await evaluate(type, assertion);
+        while (!outcome.success && !outcome.final && Date.now() < deadline) {
+            await delay(POLL_INTERVAL_MS);
+            outcome = await evaluate(type, assertion);
+        }
+
+        const { success, details } = outcome;
+        let message = outcome.message;
+        const waited = Date.now() - startedAt;
+        if (timeout > 0 && waited >= POLL_INTERVAL_MS) {
+            message += success ? ` (passed after ${formatSeconds(waited)})` : ` (waited ${formatSeconds(waited)})`;
+        }
+
+        const updatedMessage = success ? message : 'Assertion failed: ' + message;
+        results.push({ type, message: updatedMessage, success, waitedMs: waited, ...details });
+        if (!success && !soft) {
+            break;
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    runAssertions
+};
@@ -1,11 +1,103 @@
  const playwright = require('playwright');
-const { delay, normalizeUrl, runAssertions, resolveVariableValue, normalizePath } = require('./utils');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { delay, normalizeUrl, matchPattern, resolveVariableValue, normalizePath, skippedStep } = require('./utils');
+const { runAssertions } = require('./assertions');
+const { auditAccessibility } = require('./accessibility');
+const { artifactPath, artifactUrl } = require('./artifacts');
+const { DEFAULT_MIN_SCORE, healElement } = require('./healing');
+
+const MAX_DIAGNOSTICS = 200;
+
+const emptyDiagnostics = () => ({
+    console: [],
+    pageErrors: [],
+    failedRequests: [],
+    // Entries pushed out of each list once it was full
+    dropped: { console: 0, pageErrors: 0, failedRequests: 0 }
+});
+
+const DIALOG_ACTIONS = ['acceptDialog', 'dismissDialog'];
+
+// Modifier aliases accepted in key combos, mapped to Playwright key names
+const KEY_ALIASES = {
+    ctrl: 'Control',
+    control: 'Control',
+    cmd: 'Meta',
+    command: 'Meta',
+    meta: 'Meta',
+    win: 'Meta',
+    alt: 'Alt',
+    option: 'Alt',
+    shift: 'Shift',
+    mod: 'ControlOrMeta',
+    controlormeta: 'ControlOrMeta',
+    esc: 'Escape',
+    del: 'Delete',
+    space: 'Space',
+    up: 'ArrowUp',
+    down: 'ArrowDown',
+    left: 'ArrowLeft',
+    right: 'ArrowRight',
+    ...Object.fromEntries([
+        'Backspace', 'Tab', 'Enter', 'Escape', 'Space', 'PageUp', 'PageDown', 'End', 'Home', 'Insert', 'Delete',
+        'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'CapsLock', 'ContextMenu'
+    ].map(key => [key.toLowerCase(), key]))
+};
+
+/**
+ * Turns a recorded combo such as "ctrl+a", "Shift + Tab" or "cmd+k" into Playwright's "Control+a" form.
+ */
+const normalizeKeyCombo = (combo) => {
+    if (!combo) throw new Error('keyPress action requires a key');
+    return String(combo)
+        .split(/\s*\+\s*(?=.)/)
+        .map(part => KEY_ALIASES[part.toLowerCase()] || (part.length > 1 ? part[0].toUpperCase() + part.slice(1) : part))
+        .join('+');
+};
+
+// Steps that answer a JavaScript dialog rather than interact with the page
+const isDialogStep = (action) => !!action && (DIALOG_ACTIONS.includes(action.type) || !!action.element?.isAlert);
 
 class AutomationService {
     constructor() {
         this.browser = null;
         this.context = null;
         this.page = null;
+        this.videoDir = null;
+        this.tracing = false;
+        // Pending close(), shared by every caller until the next init()
+        this.closing = null;
+        // Video: one continuous recording per page, cut into test cases by time offsets
+        this.pageOpenedAt = new WeakMap();
+        this.videoFiles = new Map();
+        this.videoSegment = null;
+        // Requests/responses of the current step (reset by performAction)
+        this.traffic = [];
+        this.trafficEntries = new WeakMap();
+        // Console output, page errors and failed requests of the current test case
+        this.diagnostics = emptyDiagnostics();
+        // Console errors and page errors, kept apart from the capped lists so chatty logging
+        // never hides them: the latest ones, how many were seen, and the count when the step began
+        this.recentErrors = [];
+        this.errorsSeen = 0;
+        this.errorsMark = 0;
+        // Downloads started during the current step (reset by performAction)
+        this.downloads = [];
+        // JavaScript dialogs: how to answer the next ones, those seen during the current step,
+        // and the last one handled (kept until a step that is not about dialogs runs)
+        this.dialogResponses = [];
+        this.dialogs = [];
+        this.lastDialog = null;
+        // Every open page of the context, oldest first; this.page is the active tab
+        this.pages = [];
+        this.pageHistory = [];
+        // Self-healing locators: settings, heals of the current step, and recorded element -> heal
+        // for the whole test case (see takeHealedLocators)
+        this.selfHealing = { enabled: true, minScore: DEFAULT_MIN_SCORE };
+        this.healings = [];
+        this.healedLocators = new Map();
     }
 
     /**
@@ -13,22 +105,428 @@ class AutomationService {
      * @param {Object} options
      * @param {string} options.browserName - 'chromium' | 'firefox' | 'webkit'
      * @param {boolean} options.headless
+     * @param {boolean} options.recordVideo - Enable video capture (see startTestRecording).
      */
-    async init({ browserName = 'chromium', headless = false } = {}) {
+    async init({ browserName = 'chromium', headless = false, recordVideo = false } = {}) {
         const name = (browserName || 'chromium').toLowerCase();
         if (!['chromium', 'firefox', 'webkit'].includes(name)) {
             throw new Error('Unsupported browser: ' + browserName);
         }
 
         // Launch the requested browser
+        this.closing = null;
         this.browser = await playwright[name].launch({
             headless: !!headless,
         });
 
-        this.context = await this.browser.newContext();
+        const contextOptions = {};
+        if (recordVideo) {
+            this.videoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'evertest-video-'));
+            contextOptions.recordVideo = { dir: this.videoDir };
+        }
+
+        this.context = await this.browser.newContext(contextOptions);
+        this.attachPageTracking();
+        this.attachNetworkCapture();
+        this.attachDiagnosticsCapture();
+        this.attachDownloadCapture();
+        this.attachDialogHandler();
         this.page = await this.context.newPage();
     }
 
+    /**
+     * Keep this.pages in sync with the context. When the active tab closes on its own
+     * (e.g. an OAuth popup), the previously active tab takes over.
+     */
+    attachPageTracking() {
+        this.context.on('page', (page) => {
+            this.pages.push(page);
+            this.pageOpenedAt.set(page, Date.now());
+            page.on('close', () => {
+                this.pages = this.pages.filter(p => p !== page);
+                this.pageHistory = this.pageHistory.filter(p => p !== page);
+                if (this.page === page) {
+                    this.page = this.pageHistory.pop() || this.pages[this.pages.length - 1] || null;
+                }
+            });
+        });
+    }
+
+    /**
+     * Make a tab the active one; the current tab is remembered for closeTab.
+     */
+    async activatePage(page) {
+        if (page !== this.page) {
+            this.pageHistory.push(this.page);
+            this.page = page;
+        }
+        await page.bringToFront();
+        await page.waitForLoadState('domcontentloaded');
+    }
+
+    /**
+     * Switch to another tab.
+     * @param {Object} options
+     * @param {string} options.url - Pattern (see matchPattern) the tab URL must match.
+     * @param {string} options.title - Pattern the tab title must match.
+     * @param {number} options.timeout - How long to wait for the tab to appear, in ms (default 10000).
+     * Without url/title the newest tab is used.
+     * @returns {Promise<Object>} - The activated page.
+     */
+    async switchTab({ url, title, timeout = 10000 } = {}) {
+        const deadline = Date.now() + timeout;
+
+        while (true) {
+            let match = null;
+            if (url || title) {
+                for (const page of [...this.pages].reverse()) {
+                    if (url && !matchPattern(url, page.url())) continue;
+                    if (title && !matchPattern(title, await page.title().catch(() => ''))) continue;
+                    match = page;
+                    break;
+                }
+            } else if (this.pages.length > 1 && this.pages[this.pages.length - 1] !== this.page) {
+                match = this.pages[this.pages.length - 1];
+            }
+
+            if (match) {
+                await this.activatePage(match);
+                return match;
+            }
+            if (Date.now() >= deadline) {
+                const wanted = [url && `URL "${url}"`, title && `title "${title}"`].filter(Boolean).join(' and ');
+                throw new Error(wanted ? `No tab matching ${wanted} within ${timeout}ms` : `No new tab opened within ${timeout}ms`);
+            }
+            await delay(250);
+        }
+    }
+
+    /**
+     * Close the active tab and go back to the tab that was active before it.
+     */
+    async closeTab() {
+        if (this.pages.length <= 1) {
+            throw new Error('Cannot close the only open tab');
+        }
+        const closing = this.page;
+        const previous = [...this.pageHistory].reverse().find(page => page !== closing && this.pages.includes(page))
+            || this.pages.filter(page => page !== closing).pop();
+        this.page = previous;
+        await closing.close();
+        await previous.bringToFront();
+    }
+
+    /**
+     * Close every tab but the active one, so a test case does not inherit popups of the previous one.
+     */
+    async closeOtherTabs() {
+        for (const page of this.pages.filter(p => p !== this.page)) {
+            await page.close().catch(() => {});
+        }
+        this.pageHistory = [];
+    }
+
+    /**
+     * Record every request of the context (all pages and frames) into this.traffic.
+     * Entries are filled in as responses or failures arrive.
+     */
+    attachNetworkCapture() {
+        this.context.on('request', (request) => {
+            const entry = {
+                url: request.url(),
+                method: request.method(),
+                resourceType: request.resourceType(),
+                status: null,
+                failure: null,
+                response: null
+            };
+            this.trafficEntries.set(request, entry);
+            this.traffic.push(entry);
+        });
+
+        this.context.on('response', (response) => {
+            const entry = this.trafficEntries.get(response.request());
+            if (entry) {
+                entry.status = response.status();
+                entry.response = response;
+            }
+        });
+
+        this.context.on('requestfailed', (request) => {
+            const entry = this.trafficEntries.get(request);
+            if (entry) {
+                entry.failure = request.failure()?.errorText || 'Request failed';
+            }
+        });
+    }
+
+    /**
+     * Collect console messages, uncaught page errors and failed requests of every page in the context.
+     * Each list keeps the latest MAX_DIAGNOSTICS entries per test case and counts the ones it dropped.
+     */
+    attachDiagnosticsCapture() {
+        const push = (kind, entry) => {
+            const list = this.diagnostics[kind];
+            list.push({ ...entry, timestamp: new Date().toISOString() });
+            if (list.length > MAX_DIAGNOSTICS) {
+                list.shift();
+                this.diagnostics.dropped[kind]++;
+            }
+        };
+
+        const recordError = (error) => {
+            this.errorsSeen++;
+            this.recentErrors.push(error);
+            if (this.recentErrors.length > MAX_DIAGNOSTICS) this.recentErrors.shift();
+        };
+
+        this.context.on('console', (message) => {
+            const location = message.location();
+            const entry = {
+                type: message.type(),
+                text: message.text(),
+                url: location?.url || null,
+                line: location?.lineNumber ?? null
+            };
+            push('console', entry);
+            if (entry.type === 'error') {
+                recordError({ source: 'console', message: entry.text, url: entry.url });
+            }
+        });
+
+        this.context.on('weberror', (webError) => {
+            const error = webError.error();
+            const url = webError.page()?.url() || null;
+            push('pageErrors', { message: error.message, stack: error.stack || null, url });
+            recordError({ source: 'pageError', message: error.message, url });
+        });
+
+        this.context.on('requestfailed', (request) => {
+            push('failedRequests', {
+                method: request.method(),
+                url: request.url(),
+                status: null,
+                failure: request.failure()?.errorText || 'Request failed'
+            });
+        });
+
+        this.context.on('response', (response) => {
+            if (response.status() >= 400) {
+                push('failedRequests', {
+                    method: response.request().method(),
+                    url: response.url(),
+                    status: response.status(),
+                    failure: response.statusText() || null
+                });
+            }
+        });
+    }
+
+    /**
+     * Listen for downloads on every page of the context, so the listener is armed before
+     * whichever action triggers a download.
+     */
+    attachDownloadCapture() {
+        this.context.on('page', (page) => {
+            page.on('download', (download) => {
+                this.downloads.push({ download, info: null });
+            });
+        });
+    }
+
+    /**
+     * Answer alert/confirm/prompt/beforeunload dialogs on every page of the context.
+     * A dialog blocks the action that opened it, so the answer has to be armed beforehand
+     * (see armDialogResponse); unexpected dialogs are dismissed.
+     */
+    attachDialogHandler() {
+        this.context.on('page', (page) => {
+            page.on('dialog', (dialog) => this.handleDialog(dialog));
+        });
+    }
+
+    async handleDialog(dialog) {
+        const response = this.dialogResponses.shift() || { accept: false };
+        const entry = {
+            type: dialog.type(),
+            message: dialog.message(),
+            defaultValue: dialog.defaultValue() || null,
+            action: response.accept ? 'accepted' : 'dismissed',
+            promptText: null,
+            timestamp: new Date().toISOString()
+        };
+
+        try {
+            if (response.accept) {
+                if (entry.type === 'prompt') {
+                    entry.promptText = response.promptText ?? dialog.defaultValue();
+                    await dialog.accept(entry.promptText);
+                } else {
+                    await dialog.accept();
+                }
+            } else {
+                await dialog.dismiss();
+            }
+        } catch (error) {
+            entry.error = error.message;
+        }
+
+        console.log(`💬 ${entry.type} dialog ${entry.action}: "${entry.message}"`);
+        this.dialogs.push(entry);
+        this.lastDialog = entry;
+    }
+
+    /**
+     * Arms the answer for a dialog the given step may open. The answer comes from the step's own
+     * `dialog` option (`{ accept, promptText }`) or from the dialog steps recorded right after it:
+     * an acceptDialog/dismissDialog action, or legacy `element.isAlert` steps (change = prompt text,
+     * mousedown = the button clicked).
+     * @param {Array} actions - All actions of the test case.
+     * @param {number} index - Index of the step about to run.
+     */
+    armDialogResponse(actions, index) {
+        this.dialogResponses = [];
+        const action = actions[index];
+
+        if (action?.dialog) {
+            this.dialogResponses.push({ accept: action.dialog.accept !== false, promptText: action.dialog.promptText });
+            return;
+        }
+
+        let response = null;
+        for (let i = isDialogStep(action) ? index : index + 1; i < actions.length && isDialogStep(actions[i]); i++) {
+            const step = actions[i];
+            response = response || { accept: true, promptText: undefined };
+            if (step.type === 'change') {
+                response.promptText = step.value;
+            } else if (step.type === 'dismissDialog') {
+                response.accept = false;
+            } else if (step.type === 'acceptDialog') {
+                response.accept = true;
+                if (step.promptText !== undefined) response.promptText = step.promptText;
+            } else {
+                response.accept = !/cancel|dismiss|^no$/i.test(step.element?.text || '');
+            }
+            // Anything but prompt text closes the dialog; later steps belong to another one
+            if (step.type !== 'change') break;
+        }
+        if (response) this.dialogResponses.push(response);
+    }
+
+    /**
+     * Waits for the dialog a dialog step refers to: one handled during this step or the step before.
+     * @param {number} timeout - ms
+     * @returns {Promise<Object|null>} - The dialog entry (see handleDialog).
+     */
+    async waitForDialog(timeout = 5000) {
+        const deadline = Date.now() + timeout;
+        while (!this.lastDialog && Date.now() < deadline) {
+            await delay(100);
+        }
+        return this.lastDialog;
+    }
+
+    /**
+     * Runs a dialog step: the dialog itself was answered by handleDialog as soon as it opened,
+     * so the step checks that it was answered the way the step asks.
+     * @returns {Promise<Object>} - `{ success, message }`
+     */
+    async answerDialogStep(action) {
+        const dialog = await this.waitForDialog(action.timeout ?? 5000);
+        if (!dialog) {
+            return { success: false, message: 'No JavaScript dialog appeared' };
+        }
+        if (dialog.error) {
+            return { success: false, message: `Could not answer ${dialog.type} dialog: ${dialog.error}` };
+        }
+
+        const expected = { acceptDialog: 'accepted', dismissDialog: 'dismissed' }[action.type];
+        if (expected && dialog.action !== expected) {
+            return { success: false, message: `${dialog.type} dialog "${dialog.message}" was ${dialog.action}, expected ${expected}` };
+        }
+
+        const prompt = dialog.promptText !== null ? ` with "${dialog.promptText}"` : '';
+        return { success: true, message: `${dialog.type} dialog "${dialog.message}" ${dialog.action}${prompt}` };
+    }
+
+    /**
+     * Waits for a download to finish and describes it.
+     * The MIME type comes from the Content-Type of the download response, when there was one.
+     * @param {Object} entry - Entry of this.downloads.
+     * @returns {Promise<Object>} - `{ suggestedFilename, url, mimeType, size, path, failure }`
+     */
+    describeDownload(entry) {
+        if (!entry.info) {
+            entry.info = (async () => {
+                const { download } = entry;
+                const filePath = await download.path().catch(() => null);
+                const failure = await download.failure();
+                const size = filePath ? (await fs.stat(filePath)).size : null;
+                const response = [...this.traffic].reverse().find(item => item.url === download.url() && item.response)?.response;
+                const mimeType = response ? (response.headers()['content-type'] || null) : null;
+                return { suggestedFilename: download.suggestedFilename(), url: download.url(), mimeType, size, path: filePath, failure };
+            })();
+        }
+        return entry.info;
+    }
+
+    /**
+     * Saves the downloads of the current step as run artifacts.
+     * @param {Object} testContext - `{ runId, testCaseId, browser }`
+     * @param {number} sequence - Step the downloads belong to.
+     * @returns {Promise<Array>} - `{ suggestedFilename, url, mimeType, size, failure, artifact }` per download.
+     */
+    async saveDownloads({ runId, testCaseId, browser = 'chromium' }, sequence) {
+        const saved = [];
+        for (const [i, entry] of this.downloads.entries()) {
+            const { path: filePath, ...info } = await this.describeDownload(entry);
+            let artifact = null;
+            if (filePath && runId) {
+                try {
+                    const target = await artifactPath(runId, browser, 'downloads', `${testCaseId}-step${sequence}-${i + 1}-${info.suggestedFilename}`);
+                    await entry.download.saveAs(target);
+                    artifact = artifactUrl(target);
+                } catch (error) {
+                    console.warn('⚠️ Could not save download (non-blocking):', error.message);
+                }
+            }
+            saved.push({ ...info, artifact });
+        }
+        return saved;
+    }
+
+    /**
+     * Hand over the diagnostics collected so far and start a fresh collection.
+     * @returns {Object} - `{ console, pageErrors, failedRequests, dropped }`
+     */
+    takeDiagnostics() {
+        const diagnostics = this.diagnostics;
+        this.diagnostics = emptyDiagnostics();
+        this.recentErrors = [];
+        this.errorsSeen = 0;
+        this.errorsMark = 0;
+        return diagnostics;
+    }
+
+    /**
+     * Console errors and page errors logged since the current step started.
+     * @returns {Array<Object>} - `{ source: 'console' | 'pageError', message, url }`
+     */
+    newErrors() {
+        const count = this.errorsSeen - this.errorsMark;
+        return count > 0 ? this.recentErrors.slice(-count) : [];
+    }
+
+    /**
+     * API and document traffic of the current step, as stored in the step result.
+     */
+    networkSummary() {
+        return this.traffic
+            .filter(entry => ['document', 'xhr', 'fetch'].includes(entry.resourceType))
+            .slice(0, 100)
+            .map(({ method, url, resourceType, status, failure }) => ({ method, url, resourceType, status, failure }));
+    }
+
     async navigateTo(url) {
         if (!this.page) {
             throw new Error('Browser page not initialized. Call init() first.');
@@ -36,22 +534,156 @@ class AutomationService {
         await this.page.goto(url, { waitUntil: 'load' });
     }
 
-    async close() {
+    /**
+     * Close the browser, saving the recorded videos first.
+     * Concurrent calls (a cancelled run closes browsers while their workers do too) share one close.
+     * @returns {Promise<void>}
+     */
+    close() {
+        if (!this.closing) {
+            this.closing = this.closeBrowser();
+        }
+        return this.closing;
+    }
+
+    async closeBrowser() {
         if (this.browser) {
-            await this.browser.close();
+            const browser = this.browser;
+            this.browser = null;
+
+            // A page's video is only complete once the page is closed
+            const videoFiles = [...this.videoFiles];
+            this.videoFiles = new Map();
+            for (const [page, file] of videoFiles) {
+                try {
+                    await page.close();
+                    await page.video().saveAs(file);
+                } catch (error) {
+                    console.warn('⚠️ Could not save video (non-blocking):', error.message);
+                }
+            }
+
+            await browser.close();
+        }
+        if (this.videoDir) {
+            await fs.rm(this.videoDir, { recursive: true, force: true });
+            this.videoDir = null;
+        }
+    }
+
+    /**
+     * Start per-test-case recording.
+     * @param {Object} options
+     * @param {boolean} options.trace - Record a Playwright trace (snapshots, sources, network).
+     * @param {boolean} options.video - Record a video; requires init({ recordVideo: true }).
+     */
+    async startTestRecording({ trace = false, video = false } = {}) {
+        if (video) {
+            if (!this.videoDir) {
+                throw new Error('Video recording requires init({ recordVideo: true })');
+            }
+            // The test case keeps running on the current page; its part of the video is found by time
+            this.videoSegment = { page: this.page, startedAt: Date.now() };
+        }
+
+        if (trace) {
+            if (!this.tracing) {
+                await this.context.tracing.start({ screenshots: true, snapshots: true, sources: true });
+                this.tracing = true;
+            }
+            await this.context.tracing.startChunk({ title: 'test case' });
         }
     }
 
+    /**
+     * Stop per-test-case recording and write the artifacts.
+     * @param {Object} options
+     * @param {string} options.tracePath - Trace zip destination (when tracing).
+     * @param {string} options.videoPath - Where the page's whole video is saved when the service closes;
+     *   further pages that get recorded are saved next to it with a numeric suffix.
+     * @returns {Promise<Object>} - `{ trace, video }`: the trace path and `{ path, start, end }` for the
+     *   video, start/end being the test case's offsets in seconds.
+     */
+    async stopTestRecording({ tracePath = null, videoPath = null } = {}) {
+        const artifacts = {};
+
+        if (tracePath && this.tracing) {
+            await this.context.tracing.stopChunk({ path: tracePath });
+            artifacts.trace = tracePath;
+        }
+
+        const segment = this.videoSegment;
+        this.videoSegment = null;
+        if (videoPath && segment?.page.video()) {
+            const { page, startedAt } = segment;
+            if (!this.videoFiles.has(page)) {
+                const n = this.videoFiles.size;
+                this.videoFiles.set(page, n === 0 ? videoPath : videoPath.replace(/(\.\w+)?$/, `-${n + 1}$1`));
+            }
+            const openedAt = this.pageOpenedAt.get(page) ?? startedAt;
+            artifacts.video = {
+                path: this.videoFiles.get(page),
+                start: (startedAt - openedAt) / 1000,
+                end: (Date.now() - openedAt) / 1000
+            };
+        }
+
+        return artifacts;
+    }
+
     /**
      * CRITICAL: Run actions with STOP ON FAILURE
      * This method stops immediately when any action or assertion fails
+     * @param {Array} actions
+     * @param {Object} options
+     * @param {Function} options.onStep - Called with each step result as soon as it is known.
+     * @param {AbortSignal} options.signal - Stops before the next step; remaining steps are reported as skipped.
+     * @param {number} options.stepRetries - Extra attempts for a failing step (overridden by `action.retries`).
+     * @param {number} options.stepBackoffMs - Delay before the first retry, doubled on each further retry.
+     * @param {boolean} options.softAssertions - Record failed assertions without stopping the test.
+     * @param {boolean} options.continueOnFailure - Keep going after a failed step unless the action is marked `critical`.
+     * @param {Object} options.testContext - `{ runId, testCaseId, browser }` of the running test case.
+     * @param {number} options.assertionTimeoutMs - How long failing assertions are retried (see runAssertions).
+     * @param {number} options.stepWait - Seconds to pause after each step unless the action sets `wait`; 0 disables the pause.
+     * @param {Object} options.selfHealing - `{ enabled, minScore }` for locators whose stored selectors all fail.
      */
-    async runActionsStopOnFailure(actions) {
+    async runActionsStopOnFailure(actions, {
+        onStep,
+        signal,
+        stepRetries = 0,
+        stepBackoffMs = 1000,
+        softAssertions = false,
+        continueOnFailure = false,
+        testContext = {},
+        assertionTimeoutMs,
+        stepWait = 1,
+        selfHealing = {}
+    } = {}) {
+        this.selfHealing = { enabled: true, minScore: DEFAULT_MIN_SCORE, ...selfHealing };
         const results = [];
+        const reportStep = (result) => {
+            results.push(result);
+            if (onStep) {
+                try {
+                    onStep(result);
+                } catch (e) {
+                    console.warn('⚠️ onStep listener failed (non-blocking):', e.message);
+                }
+            }
+        };
 
         try {
             for (let i = 0; i < actions.length; i++) {
                 const action = actions[i];
+
+                if (signal?.aborted) {
+                    console.log(`⛔ Run cancelled before step ${i + 1}`);
+                    for (let j = i; j < actions.length; j++) {
+                        reportStep(skippedStep(actions[j], j, 'Run cancelled'));
+                    }
+                    break;
+                }
+
                 console.log(`Executing step ${i + 1}/${actions.length}: ${action.type}`);
 
                 let result = {
@@ -62,33 +694,80 @@ class AutomationService {
                     assertions: []
                 };
 
-                try {
-                    // Execute the action
-                    const actionResult = await this.performAction(action, actions, i);
-                    result.status = actionResult.success ? 'pass' : 'fail';
-                    result.message = actionResult.message || 'Success';
-                    result.assertions = actionResult.assertions || [];
+                // Execute the action, retrying with backoff when configured
+                const maxAttempts = 1 + Math.max(0, action.retries ?? stepRetries);
+                const attempts = [];
+                let actionResult;
+
+                for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                    try {
+                        actionResult = await this.performAction(action, actions, i, { softAssertions, testContext, assertionTimeoutMs });
+                    } catch (error) {
+                        console.error(`❌ Step ${i + 1} error:`, error);
+                        actionResult = { success: false, message: error.message, assertions: [] };
+                    }
+                    attempts.push({
+                        attempt,
+                        status: actionResult.success ? 'pass' : 'fail',
+                        message: actionResult.message || 'Success'
+                    });
+
+                    if (actionResult.success || signal?.aborted || attempt === maxAttempts) break;
+
+                    const backoff = stepBackoffMs * 2 ** (attempt - 1);
+                    console.warn(`🔁 Step ${i + 1} failed (attempt ${attempt}/${maxAttempts}), retrying in ${backoff}ms`);
+                    await delay(backoff);
+                }
+
+                // A step interrupted by cancellation did not really fail
+                if (!actionResult.success && signal?.aborted) {
+                    reportStep(skippedStep(action, i, 'Run cancelled'));
+                    continue;
+                }
+
+                result.status = actionResult.success ? 'pass' : 'fail';
+                result.message = actionResult.message || 'Success';
+                result.assertions = actionResult.assertions || [];
+                result.network = this.networkSummary();
+                if (actionResult.accessibility) {
+                    result.accessibility = actionResult.accessibility;
+                }
+                if (this.dialogs.length > 0) {
+                    result.dialogs = this.dialogs;
+                }
+                if (this.healings.length > 0) {
+                    result.healing = this.healings;
+                }
+                if (this.downloads.length > 0) {
+                    result.downloads = await this.saveDownloads(testContext, result.sequence);
+                }
+                if (attempts.length > 1) {
+                    result.attempts = attempts;
+                    result.flaky = actionResult.success;
+                }
 
-                    // CRITICAL: Stop on failure
-                    if (!actionResult.success) {
-                        console.error(`❌ Step ${i + 1} failed. STOPPING execution.`);
-                        results.push(result);
-                        break; // STOP IMMEDIATELY
+                // CRITICAL: Stop on failure, unless only soft assertions failed or the step is non-critical
+                const softFailure = softAssertions && actionResult.actionSuccess;
+                const tolerated = continueOnFailure && !action.critical;
+                if (!actionResult.success && !softFailure && !tolerated) {
+                    console.error(`❌ Step ${i + 1} failed. STOPPING execution.`);
+                    reportStep(result);
+                    for (let j = i + 1; j < actions.length; j++) {
+                        reportStep(skippedStep(actions[j], j, `Not executed: step ${result.sequence} failed`));
                     }
-                } catch (error) {
-                    console.error(`❌ Step ${i + 1} error:`, error);
-                    result.status = 'fail';
-                    result.message = error.message;
-                    result.assertions = [];
-                    results.push(result);
-                    break; // STOP IMMEDIATELY on error
+                    break; // STOP IMMEDIATELY
+                }
+                if (!actionResult.success) {
+                    console.warn(`⚠️ Step ${i + 1} failed, continuing execution.`);
                 }
 
-                results.push(result);
+                reportStep(result);
 
                 // Wait between actions
-                const finalWait = action.wait !== undefined ? action.wait : 1;
-                await delay(finalWait * 1000);
+                const finalWait = action.wait !== undefined ? action.wait : stepWait;
+                if (finalWait > 0) {
+                    await delay(finalWait * 1000);
+                }
             }
         } catch (err) {
             console.error('Global execution error:', err);
@@ -277,14 +956,23 @@ class AutomationService {
         }
     }
 
-    async resolveSelector(element, frame, timeout = 3000) {
+    /**
+     * Resolve a recorded element to a selector: uniqueSelector first, then each XPath, and as a
+     * last resort a healed locator (see healing.js) unless `heal` is false or healing is disabled.
+     * @param {Object} options
+     * @param {boolean} options.heal - Fall back to a healed locator (default true).
+     * @param {string} options.state - Element state to wait for, as in waitForSelector (default 'visible');
+     *   assertions use 'attached' so they can check hidden or disabled elements.
+     * @returns {Promise<Object>} - `{ selector, found, element, healed }`
+     */
+    async resolveSelector(element, frame, timeout = 3000, { heal = true, state = 'visible' } = {}) {
         if (!element) {
             return { selector: null, found: false };
         }
 
         if (element.uniqueSelector) {
             try {
-                const el = await frame.waitForSelector(element.uniqueSelector, { timeout });
+                const el = await frame.waitForSelector(element.uniqueSelector, { timeout, state });
                 if (el) {
                     return { selector: element.uniqueSelector, found: true, element: el };
                 }
@@ -299,7 +987,7 @@ class AutomationService {
             for (const xpath of xpathArray) {
                 try {
                     const selector = `xpath=${xpath}`;
-                    const el = await frame.waitForSelector(selector, { timeout });
+                    const el = await frame.waitForSelector(selector, { timeout, state });
                     if (el) {
                         console.log(`✅ Element found with XPath: ${xpath}`);
                         return { selector, found: true, element: el };
@@ -311,30 +999,74 @@ class AutomationService {
             }
         }
 
+        if (heal) {
+            const healed = await this.healLocator(element, frame);
+            if (healed) return healed;
+        }
+
         return { selector: null, found: false, element: null };
     }
 
-    async locateElement(action) {
-        const result = await this.resolveSelector(action.element, this.page);
+    /**
+     * Look for the recorded element by its attributes once its stored selectors have all failed.
+     * The heal is reported in the step result (this.healings).
+     * @returns {Promise<Object|null>} - `{ selector, found, element, healed }`, or null.
+     */
+    async healLocator(element, frame) {
+        if (!this.selfHealing.enabled) return null;
+
+        try {
+            const healed = await healElement(frame, element, this.selfHealing);
+            const el = healed && await frame.$(healed.selector);
+            if (!el) return null;
+
+            console.warn(`🩹 Healed locator: ${healed.selector} (score ${healed.score}, matched ${healed.matched.join(', ')})`);
+            this.healedLocators.set(element, healed);
+            if (!this.healings.some(entry => entry.selector === healed.selector)) {
+                this.healings.push({
+                    uniqueSelector: element.uniqueSelector || null,
+                    xpath: element.xpath || null,
+                    ...healed
+                });
+            }
+            return { selector: healed.selector, found: true, element: el, healed };
+        } catch (e) {
+            console.warn('⚠️ Locator healing failed (non-blocking):', e.message);
+            return null;
+        }
+    }
+
+    /**
+     * Hand over the locators healed so far (recorded element -> heal) and start afresh.
+     * @returns {Map}
+     */
+    takeHealedLocators() {
+        const healed = this.healedLocators;
+        this.healedLocators = new Map();
+        return healed;
+    }
+
+    async locateElement(action, frame = this.page) {
+        const result = await this.resolveSelector(action.element, frame);
         return { 
             element: result.element, 
             failed: !result.found 
         };
     }
 
-    async ensureClickable(xpath, timeout = 10000) {
+    async ensureClickable(xpath, timeout = 10000, frame = this.page) {
         try {
             const xpathArray = Array.isArray(xpath) ? xpath : [xpath];
             
             for (const xp of xpathArray) {
                 try {
                     const selector = `xpath=${xp}`;
-                    await this.page.waitForSelector(selector, { timeout: 3000 });
-                    const element = await this.page.$(selector);
+                    await frame.waitForSelector(selector, { timeout: 3000 });
+                    const element = await frame.$(selector);
                     
                     if (!element) continue;
                     
-                    const isVisible = await this.page.evaluate((el) => {
+                    const isVisible = await frame.evaluate((el) => {
                         return el.offsetParent !== null;
                     }, element);
                     
@@ -354,6 +1086,52 @@ class AutomationService {
         }
     }
 
+    /**
+     * Viewport coordinates to click for an action: the element centre, or `action.offset`
+     * (`{ x, y }` in px from the element's top-left corner).
+     * Coordinates are page-wide, so the page mouse works for elements inside iframes too.
+     * @returns {Promise<Object>} - `{ x, y }`
+     */
+    async clickPoint(action, frame) {
+        if (!action.element?.xpath) {
+            throw new Error(`XPath required for ${action.type} action`);
+        }
+
+        let clickResult = await this.ensureClickable(action.element.xpath, 10000, frame);
+        if (!clickResult.success) {
+            const healed = await this.healLocator(action.element, frame);
+            if (healed) clickResult = { success: true, selector: healed.selector };
+        }
+        if (!clickResult.success) {
+            throw new Error(clickResult.message);
+        }
+
+        await this.scrollToElement(frame, clickResult.selector);
+        const elementHandle = await frame.$(clickResult.selector);
+        const box = elementHandle && await elementHandle.boundingBox();
+        if (!box) {
+            throw new Error('Could not get bounding box for element');
+        }
+
+        if (action.offset) {
+            return { x: box.x + (action.offset.x || 0), y: box.y + (action.offset.y || 0) };
+        }
+        return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+    }
+
+    /**
+     * Hold modifier keys (Control, Shift, Alt, Meta) around a mouse gesture.
+     */
+    async withModifiers(modifiers = [], gesture) {
+        const keys = modifiers.map(normalizeKeyCombo);
+        for (const key of keys) await this.page.keyboard.down(key);
+        try {
+            await gesture();
+        } finally {
+            for (const key of [...keys].reverse()) await this.page.keyboard.up(key);
+        }
+    }
+
     async waitForNetworkIdle(timeout = 20000) {
         try {
             console.log('⏳ Waiting for network idle...');
@@ -364,14 +1142,34 @@ class AutomationService {
         }
     }
 
-    async waitForIframeBySrc(refSrc, timeoutMs = 30000, intervalMs = 500) {
-        const recorded = new URL(refSrc);
-        const start = Date.now();
+    /**
+     * Finds a child frame of `parent` matching one level of a frame path.
+     * @param {Object} parent - Page or Frame the iframe lives in.
+     * @param {Object} identifier - One of `{ src }` (same origin and path; any depth below parent),
+     *   `{ name }`, `{ selector }` (CSS/XPath of the iframe element) or `{ index }` (among direct children).
+     * @returns {Promise<Object|null>}
+     */
+    async findChildFrame(parent, identifier) {
+        const parentFrame = parent.mainFrame ? parent.mainFrame() : parent;
 
-        while (Date.now() - start < timeoutMs) {
-            const frames = this.page.frames();
-            
-            for (const frame of frames) {
+        if (identifier.selector) {
+            const handle = await parent.$(identifier.selector);
+            return handle ? await handle.contentFrame() : null;
+        }
+
+        if (identifier.name) {
+            return parentFrame.childFrames().find(frame => frame.name() === identifier.name) || null;
+        }
+
+        if (identifier.index !== undefined) {
+            return parentFrame.childFrames()[identifier.index] || null;
+        }
+
+        if (identifier.src) {
+            const recorded = new URL(identifier.src);
+            const descendants = (frame) => frame.childFrames().flatMap(child => [child, ...descendants(child)]);
+
+            for (const frame of descendants(parentFrame)) {
                 try {
                     if (!frame.url()) continue;
 
@@ -380,23 +1178,57 @@ class AutomationService {
                     const samePath = normalizePath(current.pathname) === normalizePath(recorded.pathname);
 
                     if (sameOrigin && samePath) {
-                        console.log("✅ Found iframe:", frame.url());
                         return frame;
                     }
                 } catch (e) {
                     // ignore invalid URLs
                 }
             }
+            return null;
+        }
 
-            await this.page.waitForTimeout(intervalMs);
+        throw new Error('Iframe identifier needs src, name, selector or index');
+    }
+
+    /**
+     * Resolves a frame path, outermost iframe first, waiting for each level to attach.
+     * @param {Array<Object>} framePath - Identifiers as accepted by findChildFrame.
+     * @returns {Promise<Object>} - The innermost Frame.
+     */
+    async resolveFramePath(framePath, timeoutMs = 30000, intervalMs = 500) {
+        const start = Date.now();
+        let frame = this.page;
+
+        for (const [level, identifier] of framePath.entries()) {
+            let child = await this.findChildFrame(frame, identifier);
+            while (!child && Date.now() - start < timeoutMs) {
+                await delay(intervalMs);
+                child = await this.findChildFrame(frame, identifier);
+            }
+            if (!child) {
+                throw new Error(`⏱️ Iframe not found within ${timeoutMs}ms at level ${level + 1}: ${JSON.stringify(identifier)}`);
+            }
+            console.log("✅ Found iframe:", child.url());
+            frame = child;
         }
 
-        throw new Error(`⏱️ Iframe not found within ${timeoutMs}ms for ${refSrc}`);
+        return frame;
     }
 
+    async waitForIframeBySrc(refSrc, timeoutMs = 30000, intervalMs = 500) {
+        return this.resolveFramePath([{ src: refSrc }], timeoutMs, intervalMs);
+    }
+
+    /**
+     * Frame an action (and its assertions) runs in. `action.framePath` lists the iframes to
+     * go through for nested frames; recorded actions carry a single `iframeIdentifier`.
+     */
     async getFrameContext(action) {
-        if (action.isTopFrame === false && action.iframeIdentifier?.src) {
-            return await this.waitForIframeBySrc(action.iframeIdentifier.src);
+        if (action.framePath?.length) {
+            return await this.resolveFramePath(action.framePath);
+        }
+        if (action.isTopFrame === false && action.iframeIdentifier) {
+            return await this.resolveFramePath([action.iframeIdentifier]);
         }
         return this.page;
     }
@@ -421,13 +1253,32 @@ class AutomationService {
         }, { selector, value, events });
     }
 
-    async performAction(action, arr = [], index = 0) {
+    /**
+     * Execute a single action and its assertions.
+     * @param {Object} options
+     * @param {boolean} options.softAssertions - Evaluate every assertion instead of stopping at the first failure.
+     * @param {Object} options.testContext - `{ runId, testCaseId, browser }` of the running test case.
+     * @returns {Promise<Object>} - { success, actionSuccess, message, assertions }
+     */
+    async performAction(action, arr = [], index = 0, { softAssertions = false, testContext = {}, assertionTimeoutMs } = {}) {
         let success = false;
         let message = "";
         let assertions = [];
-        
+        let accessibility = null;
+
+        // Network, console and download assertions only look at what this step caused
+        this.traffic = [];
+        this.downloads = [];
+        this.dialogs = [];
+        this.healings = [];
+        if (!isDialogStep(action)) {
+            this.lastDialog = null;
+        }
+        this.armDialogResponse(arr.length > 0 ? arr : [action], arr.length > 0 ? index : 0);
+        this.errorsMark = this.errorsSeen;
+
         try {
-            const frame = await this.getFrameContext(action);
+            let frame = await this.getFrameContext(action);
 
             const skipNetworkIdleFor = ['System_Navigate', 'navigate'];
             if (!skipNetworkIdleFor.includes(action.type)) {
@@ -466,9 +1317,13 @@ class AutomationService {
                 }
 
                 case 'mousedown': {
+                    if (action.element?.isAlert) {
+                        ({ success, message } = await this.answerDialogStep(action));
+                        break;
+                    }
+
                     const nextAction = arr?.length - 1 > index && arr[index + 1]?.type === 'fileSelect';
-                    const isJsPopup = action.element.isAlert;
-                    if (nextAction || isJsPopup) {
+                    if (nextAction) {
                         return { success: true, message: 'File input: click skipped to avoid file dialog', assertions: [] };
                     }
 
@@ -476,7 +1331,11 @@ class AutomationService {
                         throw new Error('XPath required for mousedown action');
                     }
 
-                    const clickResult = await this.ensureClickable(action.element.xpath, 10000);
+                    let clickResult = await this.ensureClickable(action.element.xpath, 10000, frame);
+                    if (!clickResult.success) {
+                        const healed = await this.healLocator(action.element, frame);
+                        if (healed) clickResult = { success: true, selector: healed.selector };
+                    }
                     if (!clickResult.success) {
                         return { success: false, message: clickResult.message, assertions: [] };
                     }
@@ -492,18 +1351,47 @@ class AutomationService {
                         throw new Error('Could not get bounding box for element');
                     }
                     
-                    await frame.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
-                    await frame.mouse.down();
-                    await frame.mouse.up();
+                    // Bounding boxes are page-wide, so the page mouse also reaches into iframes
+                    await this.page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+                    await this.page.mouse.down();
+                    await this.page.mouse.up();
                     success = true;
                     message = `Mouse click simulated (isTrusted)`;
                     break;
                 }
 
+                case 'click':
+                case 'dblclick':
+                case 'contextmenu': {
+                    const { x, y } = await this.clickPoint(action, frame);
+                    const button = action.type === 'contextmenu' ? 'right' : (action.button || 'left');
+                    const clickCount = action.type === 'dblclick' ? 2 : (action.clickCount || 1);
+                    await this.withModifiers(action.modifiers, () => this.page.mouse.click(x, y, { button, clickCount }));
+                    success = true;
+                    const label = { dblclick: 'Double-click', contextmenu: 'Right-click' }[action.type] || `${button} click`;
+                    const held = action.modifiers?.length ? ` with ${action.modifiers.join('+')}` : '';
+                    message = `${label}${held} at (${Math.round(x)}, ${Math.round(y)})`;
+                    break;
+                }
+
+                case 'longpress': {
+                    const { x, y } = await this.clickPoint(action, frame);
+                    const duration = action.durationMs ?? 1000;
+                    await this.page.mouse.move(x, y);
+                    await this.withModifiers(action.modifiers, async () => {
+                        await this.page.mouse.down({ button: action.button || 'left' });
+                        await delay(duration);
+                        await this.page.mouse.up({ button: action.button || 'left' });
+                    });
+                    success = true;
+                    message = `Pressed and held for ${duration}ms`;
+                    break;
+                }
+
                 case 'change': {
-                    const isJsPopup = action.element.isAlert;
-                    if (isJsPopup) {
-                        return { success: true, message: 'change ignore in Js popup', assertions: [] };
+                    if (action.element?.isAlert) {
+                        ({ success, message } = await this.answerDialogStep(action));
+                        break;
                     }
                     
                     const resolved = await this.resolveSelector(action.element, frame);
@@ -528,6 +1416,17 @@ class AutomationService {
 
                     if (elementType === 'text') {
                         const finalValue = action?.variable?.name ? resolveVariableValue(action?.variable) : action.value;
+                        if (action.typing) {
+                            // Key by key, like a user: autocomplete widgets and input masks see every keystroke
+                            const typing = action.typing === true ? {} : action.typing;
+                            if (typing.clear !== false) {
+                                await frame.fill(resolved.selector, '');
+                            }
+                            await frame.locator(resolved.selector).first().pressSequentially(finalValue || '', { delay: typing.delayMs ?? 50 });
+                            success = true;
+                            message = 'Text typed';
+                            break;
+                        }
                         await frame.fill(resolved.selector, finalValue || '');
                         await this.dispatchEvents(frame, resolved.selector, finalValue);
                         success = true;
@@ -578,12 +1477,12 @@ class AutomationService {
                 }
 
                 case 'hover': {
-                    const resolved = await this.resolveSelector(action.element, this.page);
+                    const resolved = await this.resolveSelector(action.element, frame);
                     if (!resolved.found) {
                         throw new Error('Element not found for hover action');
                     }
-                    await this.scrollToElement(this.page, resolved.selector);
-                    await this.page.hover(resolved.selector);
+                    await this.scrollToElement(frame, resolved.selector);
+                    await frame.hover(resolved.selector);
                     success = true;
                     message = 'Hovered';
                     break;
@@ -591,7 +1490,7 @@ class AutomationService {
 
                 case 'scroll': {
                     if (action.containerXPath) {
-                        await this.page.evaluate(({ xpath, scrollX, scrollY }) => {
+                        await frame.evaluate(({ xpath, scrollX, scrollY }) => {
                             const result = document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
                             const container = result.singleNodeValue;
                             if (container) {
@@ -599,7 +1498,7 @@ class AutomationService {
                             }
                         }, { xpath: action.containerXPath[0], scrollX: action.scrollX, scrollY: action.scrollY });
                     } else {
-                        await this.page.evaluate(({ x, y }) => {
+                        await frame.evaluate(({ x, y }) => {
                             window.scrollTo({ left: x || 0, top: y || 0, behavior: 'smooth' });
                         }, { x: action.scrollX, y: action.scrollY });
                     }
@@ -616,11 +1515,33 @@ class AutomationService {
                 case 'ArrowLeft':
                 case 'ArrowRight':
                 case 'Escape':
+                    // Keyboard input goes to the focused element, whichever frame it is in
                     await this.page.keyboard.press(action.type);
                     success = true;
                     message = `Successfully Pressed`;
                     break;
 
+                case 'keyPress': {
+                    const keys = normalizeKeyCombo(action.key);
+                    const times = Math.max(1, parseInt(action.repeat, 10) || 1);
+                    if (action.element) {
+                        // Aimed at an element: focus it first, then press
+                        const resolved = await this.resolveSelector(action.element, frame);
+                        if (!resolved.found) throw new Error('Element not found for keyPress action');
+                        await this.scrollToElement(frame, resolved.selector);
+                        for (let n = 0; n < times; n++) {
+                            await frame.press(resolved.selector, keys, { delay: action.holdMs || 0 });
+                        }
+                    } else {
+                        for (let n = 0; n < times; n++) {
+                            await this.page.keyboard.press(keys, { delay: action.holdMs || 0 });
+                        }
+                    }
+                    success = true;
+                    message = `Pressed ${keys}${times > 1 ? ` ${times} times` : ''}`;
+                    break;
+                }
+
                 case 'fileSelect': {
                     if (!action.storageData) {
                         success = false;
@@ -628,11 +1549,11 @@ class AutomationService {
                         break;
                     }
 
-                    const resolved = await this.resolveSelector(action.element, this.page);
+                    const resolved = await this.resolveSelector(action.element, frame);
                     if (!resolved.found) {
                         throw new Error('Element not found for fileSelect action');
                     }
-                    await this.scrollToElement(this.page, resolved.selector);
+                    await this.scrollToElement(frame, resolved.selector);
                     
                     const fileData = action.storageData;
                     const byteString = atob(fileData.content.split(',')[1]);
@@ -643,7 +1564,7 @@ class AutomationService {
                     }
 
                     const buffer = Buffer.from(ab);
-                    await this.page.setInputFiles(resolved.selector, {
+                    await frame.setInputFiles(resolved.selector, {
                         name: fileData.name,
                         mimeType: fileData.type,
                         buffer: buffer
@@ -655,7 +1576,7 @@ class AutomationService {
                 }
 
                 case 'dragstart': {
-                    const { element, failed } = await this.locateElement(action);
+                    const { element, failed } = await this.locateElement(action, frame);
                     if (failed || !element) {
                         success = false;
                         message = `dragstart: element not found`;
@@ -711,7 +1632,7 @@ class AutomationService {
                     let y = null;
 
                     if (action.dropTarget?.xpath || action.dropTarget?.uniqueSelector) {
-                        const { element, failed } = await this.locateElement({ element: action.dropTarget });
+                        const { element, failed } = await this.locateElement({ element: action.dropTarget }, frame);
                         if (!failed && element) {
                             const box = await element.boundingBox();
                             if (box) {
@@ -759,6 +1680,35 @@ class AutomationService {
                     break;
                 }
 
+                case 'switchTab': {
+                    const page = await this.switchTab(action);
+                    // Assertions of this step look at the tab it switched to
+                    frame = page;
+                    success = true;
+                    message = `Switched to tab ${page.url()}`;
+                    break;
+                }
+
+                case 'closeTab':
+                    await this.closeTab();
+                    frame = this.page;
+                    success = true;
+                    message = `Tab closed, back on ${this.page.url()}`;
+                    break;
+
+                case 'acceptDialog':
+                case 'dismissDialog':
+                    ({ success, message } = await this.answerDialogStep(action));
+                    break;
+
+                case 'accessibilityAudit': {
+                    const audit = await auditAccessibility(frame, action);
+                    accessibility = audit.violations;
+                    success = audit.success;
+                    message = audit.message;
+                    break;
+                }
+
                 default:
                     console.warn(`Unsupported action type: ${action.type}`);
                     success = false;
@@ -767,7 +1717,12 @@ class AutomationService {
             }
 
             // Run assertions
-            assertions = await runAssertions(action, this.page, action.element);
+            assertions = await runAssertions(action, this, {
+                frame,
+                soft: softAssertions,
+                testContext: { ...testContext, sequence: action.sequence || index + 1 },
+                timeout: assertionTimeoutMs
+            });
             console.log("assertions", assertions);
             
             const failedAssertions = assertions.some((a) => a.success == false);
@@ -775,8 +1730,11 @@ class AutomationService {
             
             return {
                 success: success && !failedAssertions,
+                actionSuccess: success,
                 message: failedAssertions ? failedMsg : message,
                 assertions,
+                accessibility,
+                dialogs: this.dialogs,
             };
         } catch (error) {
             console.error(`Action failed:`, error);
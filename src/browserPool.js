@@ -0,0 +1,63 @@
+require('dotenv').config();
+
+/**
+ * Server-wide cap on how many browsers may be open at once, shared by every run.
+ * Callers acquire a slot before launching a browser and release it after closing.
+ */
+class BrowserSlots {
+    constructor(limit) {
+        this.limit = limit;
+        this.inUse = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * Wait for a free slot.
+     * @param {AbortSignal} signal - Gives up waiting when aborted.
+     * @returns {Promise<Function>} - Releases the slot; safe to call more than once.
+     */
+    acquire(signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                return reject(new Error('Run cancelled'));
+            }
+
+            const grant = () => {
+                signal?.removeEventListener('abort', onAbort);
+                this.inUse++;
+                let released = false;
+                resolve(() => {
+                    if (released) return;
+                    released = true;
+                    this.inUse--;
+                    this.next();
+                });
+            };
+
+            const onAbort = () => {
+                this.waiting = this.waiting.filter(waiter => waiter !== grant);
+                reject(new Error('Run cancelled'));
+            };
+
+            if (this.inUse < this.limit) {
+                grant();
+            } else {
+                signal?.addEventListener('abort', onAbort, { once: true });
+                this.waiting.push(grant);
+            }
+        });
+    }
+
+    next() {
+        if (this.inUse < this.limit && this.waiting.length > 0) {
+            this.waiting.shift()();
+        }
+    }
+}
+
+const browserSlots = new BrowserSlots(Math.max(1, parseInt(process.env.MAX_CONCURRENT_BROWSERS, 10) || 4));
+
+module.exports = {
+    BrowserSlots,
+    browserSlots
+};
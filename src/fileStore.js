@@ -0,0 +1,148 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { randomUUID } = require('crypto');
+require('dotenv').config();
+
+/**
+ * Local JSON-file storage adapter.
+ * Each table (test_cases, test_results, run_history) is one JSON array in STORE_DIR,
+ * so the service can run offline, in CI and in unit tests without Supabase.
+ */
+
+const storeDir = () => path.resolve(process.env.STORE_DIR || 'data');
+
+// Serializes writes so parallel workers never interleave read-modify-write cycles
+let writeQueue = Promise.resolve();
+
+async function readTable(table) {
+    try {
+        const raw = await fs.readFile(path.join(storeDir(), `${table}.json`), 'utf8');
+        const rows = JSON.parse(raw);
+        return Array.isArray(rows) ? rows : [];
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw new Error(`Error reading ${table}: ${error.message}`);
+    }
+}
+
+async function writeTable(table, rows) {
+    await fs.mkdir(storeDir(), { recursive: true });
+    const file = path.join(storeDir(), `${table}.json`);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(rows, null, 2));
+    await fs.rename(tmp, file);
+}
+
+function updateTable(table, update) {
+    const run = writeQueue.then(async () => {
+        const rows = await readTable(table);
+        const result = update(rows);
+        await writeTable(table, rows);
+        return result;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Fetches a test case by ID.
+ * @param {string|number} id - The ID of the test case.
+ * @returns {Promise<Object|null>} - The test case data, or null if it does not exist.
+ */
+async function fetchTestCase(id) {
+    const rows = await readTable('test_cases');
+    return rows.find(row => String(row.id) === String(id)) || null;
+}
+
+/**
+ * Fetches all test cases for given module IDs, ordered by created_at ascending.
+ * @param {Array<string|number>} moduleIds
+ * @returns {Promise<Array>} - Array of test case objects
+ */
+async function fetchTestCasesByModuleIds({ moduleIds, userId, projectId }) {
+    if (!Array.isArray(moduleIds) || moduleIds.length === 0) return [];
+
+    const wanted = moduleIds.map(String);
+    const rows = await readTable('test_cases');
+
+    return rows
+        .filter(row => wanted.includes(String(row.module_id))
+            && String(row.user_id) === String(userId)
+            && String(row.project_id) === String(projectId))
+        .sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')));
+}
+
+/**
+ * Upserts the latest result per test case and appends a run_history entry,
+ * mirroring the Supabase adapter.
+ * @returns {Promise<Array>} - The inserted run_history rows.
+ */
+async function saveTestResults({
+    user_id,
+    test_case,
+    name,
+    project_id,
+    module_id,
+    status,
+    result,
+    fail_screenShot
+}) {
+    const now = new Date().toISOString();
+
+    const testResult = await updateTable('test_results', (rows) => {
+        let row = rows.find(existing => String(existing.test_case) === String(test_case));
+        if (!row) {
+            row = { id: randomUUID(), created_at: now };
+            rows.push(row);
+        }
+        Object.assign(row, { user_id, test_case, name, status, fail_screenShot, updated_at: now });
+        return { ...row };
+    });
+
+    const historyEntry = await updateTable('run_history', (rows) => {
+        const entry = {
+            id: randomUUID(),
+            created_at: now,
+            project_id,
+            test_case_id: testResult.test_case,
+            test_result_id: testResult.id,
+            module_id,
+            name: testResult.name,
+            status,
+            fail_screenshot: fail_screenShot,
+            result
+        };
+        rows.push(entry);
+        return entry;
+    });
+
+    return [historyEntry];
+}
+
+/**
+ * Replaces the recorded actions of a test case (used to write healed locators back).
+ * @param {string|number} id - The ID of the test case.
+ * @param {Array} actions - The updated actions.
+ * @returns {Promise<void>}
+ */
+async function updateTestCaseActions(id, actions) {
+    const updated = await updateTable('test_cases', (rows) => {
+        const row = rows.find(existing => String(existing.id) === String(id));
+        if (row) {
+            row.actions = actions;
+            row.updated_at = new Date().toISOString();
+        }
+        return !!row;
+    });
+
+    if (!updated) {
+        throw new Error(`Error updating test case: ${id} not found`);
+    }
+}
+
+module.exports = {
+    fetchTestCase,
+    fetchTestCasesByModuleIds,
+    saveTestResults,
+    updateTestCaseActions
+};
@@ -0,0 +1,188 @@
+/**
+ * Self-healing locators: when every stored selector of an element is stale, the elements of the
+ * frame are scored against the attributes recorded with it and the best match is used instead.
+ *
+ * Recorded attributes read from the element: `tagName`, `text`, `id`, `name`, `role`,
+ * `classes` (array or class string) and `rect` (`{ x, y }` in document coordinates).
+ */
+
+const DEFAULT_MIN_SCORE = 40;
+
+// Points per matching attribute; a candidate needs minScore points to be chosen
+const WEIGHTS = {
+    id: 30,
+    name: 20,
+    text: 25,
+    partialText: 12,
+    role: 10,
+    classes: 15,
+    tagName: 5,
+    position: 10
+};
+
+/**
+ * The attributes of a recorded element that healing can use.
+ * @returns {Object|null} - null when nothing usable was recorded.
+ */
+function healingFingerprint(element) {
+    if (!element) return null;
+    const classes = Array.isArray(element.classes)
+        ? element.classes
+        : String(element.classes || element.className || '').split(/\s+/).filter(Boolean);
+
+    const fingerprint = {
+        tagName: element.tagName ? String(element.tagName).toLowerCase() : null,
+        text: element.text ? String(element.text).replace(/\s+/g, ' ').trim().toLowerCase() : null,
+        id: element.id || null,
+        name: element.name || null,
+        role: element.role || null,
+        classes,
+        rect: element.rect && Number.isFinite(element.rect.x) && Number.isFinite(element.rect.y) ? element.rect : null
+    };
+
+    const usable = fingerprint.text || fingerprint.id || fingerprint.name || fingerprint.role || classes.length > 0;
+    return usable ? fingerprint : null;
+}
+
+/**
+ * Scores the visible elements of a frame against a recorded element and picks the best one.
+ * @param {Object} frame - Page or Frame to search.
+ * @param {Object} element - The recorded element (see healingFingerprint).
+ * @param {Object} options
+ * @param {number} options.minScore - Lowest acceptable score (default 40).
+ * @returns {Promise<Object|null>} - `{ selector, css, xpath, score, matched, tagName, text }`,
+ *   or null when no candidate is good enough or two candidates tie.
+ */
+async function healElement(frame, element, { minScore = DEFAULT_MIN_SCORE } = {}) {
+    const fingerprint = healingFingerprint(element);
+    if (!fingerprint) return null;
+
+    const best = await frame.evaluate(({ fingerprint, weights }) => {
+        const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+        const isVisible = (el) => el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+
+        const xpathOf = (el) => {
+            const parts = [];
+            for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+                let index = 1;
+                for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+                    if (sibling.tagName === node.tagName) index++;
+                }
+                parts.unshift(`${node.tagName.toLowerCase()}[${index}]`);
+            }
+            return `/${parts.join('/')}`;
+        };
+
+        const cssOf = (el) => {
+            const tag = el.tagName.toLowerCase();
+            const candidates = [];
+            if (el.id) candidates.push(`#${CSS.escape(el.id)}`);
+            if (el.getAttribute('name')) candidates.push(`${tag}[name="${CSS.escape(el.getAttribute('name'))}"]`);
+            if (el.getAttribute('data-testid')) candidates.push(`[data-testid="${CSS.escape(el.getAttribute('data-testid'))}"]`);
+            return candidates.find(selector => document.querySelectorAll(selector).length === 1) || null;
+        };
+
+        const pool = fingerprint.tagName
+            ? document.getElementsByTagName(fingerprint.tagName)
+            : document.querySelectorAll('a, button, input, select, textarea, label, summary, [role], [onclick], [tabindex], [contenteditable]');
+
+        const scored = [];
+        for (const el of Array.from(pool).slice(0, 3000)) {
+            if (!isVisible(el)) continue;
+            let score = 0;
+            const matched = [];
+
+            if (fingerprint.id && el.id === fingerprint.id) {
+                score += weights.id;
+                matched.push('id');
+            }
+            if (fingerprint.name && el.getAttribute('name') === fingerprint.name) {
+                score += weights.name;
+                matched.push('name');
+            }
+            if (fingerprint.text) {
+                const text = normalize(el.innerText || el.value || el.getAttribute('aria-label'));
+                if (text === fingerprint.text) {
+                    score += weights.text;
+                    matched.push('text');
+                } else if (fingerprint.text.length >= 3 && text && (text.includes(fingerprint.text) || fingerprint.text.includes(text))) {
+                    score += weights.partialText;
+                    matched.push('partialText');
+                }
+            }
+            if (fingerprint.role && el.getAttribute('role') === fingerprint.role) {
+                score += weights.role;
+                matched.push('role');
+            }
+            if (fingerprint.classes.length > 0) {
+                const shared = fingerprint.classes.filter(name => el.classList.contains(name)).length;
+                const union = new Set([...fingerprint.classes, ...el.classList]).size;
+                if (shared > 0) {
+                    score += Math.round(weights.classes * shared / union);
+                    matched.push('classes');
+                }
+            }
+            if (fingerprint.tagName && el.tagName.toLowerCase() === fingerprint.tagName) {
+                score += weights.tagName;
+            }
+            if (fingerprint.rect) {
+                const rect = el.getBoundingClientRect();
+                const distance = Math.hypot(rect.x + window.scrollX - fingerprint.rect.x, rect.y + window.scrollY - fingerprint.rect.y);
+                const points = Math.round(weights.position * Math.max(0, 1 - distance / 500));
+                if (points > 0) {
+                    score += points;
+                    matched.push('position');
+                }
+            }
+
+            if (matched.length > 0) scored.push({ el, score, matched });
+        }
+
+        scored.sort((a, b) => b.score - a.score);
+        const [top, runnerUp] = scored;
+        if (!top) return null;
+
+        return {
+            score: top.score,
+            runnerUpScore: runnerUp ? runnerUp.score : null,
+            matched: top.matched,
+            tagName: top.el.tagName.toLowerCase(),
+            text: normalize(top.el.innerText || top.el.value).slice(0, 100),
+            css: cssOf(top.el),
+            xpath: xpathOf(top.el)
+        };
+    }, { fingerprint, weights: WEIGHTS });
+
+    if (!best || best.score < minScore) return null;
+    // Two equally good candidates: guessing would click the wrong one half of the time
+    if (best.runnerUpScore === best.score) return null;
+
+    const { runnerUpScore, ...healed } = best;
+    return { selector: healed.css || `xpath=${healed.xpath}`, ...healed };
+}
+
+/**
+ * The recorded element with its locators replaced by a healed one (old XPaths are kept as fallbacks).
+ * @param {Object} element - The recorded element.
+ * @param {Object} healed - Result of healElement.
+ * @returns {Object}
+ */
+function applyHealedLocator(element, healed) {
+    const oldXpaths = element.xpath ? (Array.isArray(element.xpath) ? element.xpath : [element.xpath]) : [];
+    const updated = {
+        ...element,
+        xpath: [healed.xpath, ...oldXpaths.filter(xpath => xpath !== healed.xpath)]
+    };
+    if (healed.css) {
+        updated.uniqueSelector = healed.css;
+    } else {
+        delete updated.uniqueSelector;
+    }
+    return updated;
+}
+
+module.exports = {
+    DEFAULT_MIN_SCORE,
+    healElement,
+    applyHealedLocator
+};
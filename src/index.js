@@ -1,8 +1,11 @@
- const express = require('express');
+const express = require('express');
 const cors = require('cors');
-const { fetchTestCase, fetchTestCasesByModuleIds, saveTestResults } = require('./supabase');
-const AutomationService = require('./automation');
+const { executeRun } = require('./runner');
+const { JobQueue, serializeJob } = require('./jobs');
 const { validateCloudPayload } = require('./utils');
+const { artifactsRoot } = require('./artifacts');
+const { toJUnitXml, toHtml } = require('./reports');
+const { acceptBaseline } = require('./visual');
 require('dotenv').config();
 
 const app = express();
@@ -10,15 +13,20 @@ const port = process.env.PORT || 3000;
 
 app.use(cors());
 app.use(express.json());
+app.use('/artifacts', express.static(artifactsRoot()));
+
+// Runs are processed in the background; callers poll GET /api/runs/:id
+const runQueue = new JobQueue(async (job) => {
+    const { report, records } = await executeRun(job.payload, {
+        onEvent: (event, data) => runQueue.publish(job, event, data),
+        signal: job.abortController.signal,
+        runId: job.id
+    });
+    job.records = records;
+    return report;
+});
 
-function summarizeResults(results) {
-    const passed = results.filter(r => r.status === 'pass').length;
-    const failed = results.filter(r => r.status === 'fail').length;
-    const skipped = 0;
-    return { passed, failed, skipped, total: results.length };
-}
-
-app.post('/api/run-automation', async (req, res) => {
+app.post('/api/run-automation', (req, res) => {
     const payload = req.body || {};
 
     // If OTP login is requested but otp payload is missing, set defaults as requested
@@ -36,218 +44,134 @@ app.post('/api/run-automation', async (req, res) => {
         return res.status(400).json({ error: validateRes.error });
     }
 
-    const { testCaseId, moduleIds, loginRequired, loginMode, socialAuth, otp, browserName, userId, projectId } = payload;
+    if (!payload.testCaseId && !(Array.isArray(payload.moduleIds) && payload.moduleIds.length > 0)) {
+        return res.status(400).json({ error: 'Either testCaseId or moduleIds must be provided' });
+    }
 
+    const { testCaseId, moduleIds, loginRequired, loginMode } = payload;
     console.log('Received automation request:', { testCaseId, moduleIds, loginRequired, loginMode });
 
-    let automationService;
-    const allResults = [];
+    const job = runQueue.enqueue(payload);
+    console.log(`Run ${job.id} queued`);
 
-    try {
-        // Initialize automation service ONCE
-        automationService = new AutomationService();
-        await automationService.init({ browserName: browserName || 'chromium', headless: payload.headless });
-
-        let loginSession = null;
-
-        // Handle login if required
-        if (loginRequired) {
-            if (loginMode === 'social' && socialAuth?.authTestCaseId) {
-                console.log('Running auth test case first...');
-                const authTest = await fetchTestCase(socialAuth.authTestCaseId);
-                if (!authTest) {
-                    return res.status(404).json({ error: 'Auth test case not found' });
-                }
-
-                // Run auth test (don't save results for auth test)
-                if (authTest.url) await automationService.navigateTo(authTest.url);
-                await automationService.runActionsStopOnFailure(authTest.actions || []);
-                
-                console.log('Auth test completed, session established');
-            } else if (loginMode === 'otp' && otp) {
-                console.log('Setting OTP storage...');
-                await automationService.setOtpStorage(otp);
-            }
-        }
+    res.status(202).json({ runId: job.id, status: job.status });
+});
 
-        let testCasesToRun = [];
+app.get('/api/runs/:id', (req, res) => {
+    const job = runQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Run not found' });
+    }
 
-        // CASE A: Single test case execution
-        if (testCaseId) {
-            console.log(`Running single test case: ${testCaseId}`);
-            
-            const testCase = await fetchTestCase(testCaseId);
-            if (!testCase) {
-                return res.status(404).json({ error: 'Test case not found' });
-            }
+    res.json(serializeJob(job));
+});
 
-            testCasesToRun = [testCase];
-        }
-        // CASE B: Multiple test cases from modules
-        else if (Array.isArray(moduleIds) && moduleIds.length > 0) {
-            console.log(`Running test cases from modules: ${moduleIds.join(', ')}`);
-            
-            // Fetch all test cases from modules, sorted by created_at
-            const testCases = await fetchTestCasesByModuleIds(payload);
-            
-            if (!testCases || testCases.length === 0) {
-                return res.status(404).json({ error: 'No test cases found in specified modules' });
-            }
-
-            // Filter out auth test case if it exists in the list
-            const authTestCaseId = socialAuth?.authTestCaseId;
-            testCasesToRun = testCases.filter(tc => tc.id !== authTestCaseId);
-
-            console.log(`Found ${testCasesToRun.length} test cases to run (excluding auth test case)`);
-        } else {
-            return res.status(400).json({ error: 'Either testCaseId or moduleIds must be provided' });
-        }
+app.post('/api/runs/:id/cancel', (req, res) => {
+    const job = runQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Run not found' });
+    }
+    if (job.status === 'finished' && !job.cancelled) {
+        return res.status(409).json({ error: 'Run already finished' });
+    }
 
-        // Run all test cases sequentially in the SAME browser session
-        for (const testCase of testCasesToRun) {
-            try {
-                console.log(`Running test case: ${testCase.id} - ${testCase.name}`);
-
-                // Navigate to test case URL
-                if (testCase.url) {
-                    await automationService.navigateTo(testCase.url);
-                }
-
-                // Run actions with stop on failure
-                const results = await automationService.runActionsStopOnFailure(testCase.actions || []);
-                
-                // Calculate summary
-                const summary = summarizeResults(results);
-                const status = summary.failed > 0 ? 'fail' : 'pass';
-
-                // Capture screenshot if failed
-                let failScreenshot = null;
-                if (status === 'fail') {
-                    try {
-                        failScreenshot = await automationService.captureScreenshot();
-                    } catch (error) {
-                        console.error('Error capturing screenshot:', error);
-                    }
-                }
-
-                const testResult = {
-                    testCaseId: testCase.id,
-                    testCaseName: testCase.name,
-                    status,
-                    ...summary,
-                    results
-                };
-
-                allResults.push(testResult);
-
-                // Save to database
-                try {
-                    await saveTestResults({
-                        user_id: userId,
-                        test_case: testCase.id,
-                        name: testCase.name,
-                        project_id: projectId,
-                        module_id: testCase.module_id,
-                        status,
-                        result: {
-                            passed: summary.passed,
-                            failed: summary.failed,
-                            skipped: summary.skipped,
-                            total: summary.total,
-                            results: results,
-                            status: status === 'pass' ? '✅ TEST PASSED' : '❌ TEST FAILED',
-                            run_by: 'cloud'
-                        },
-                        fail_screenShot: failScreenshot
-                    });
-
-                    console.log(`✅ Test case ${testCase.id} saved to database`);
-                } catch (dbError) {
-                    console.error('❌ Error saving to database:', dbError);
-                }
-
-            } catch (error) {
-                console.error(`❌ Error running test case ${testCase.id}:`, error);
-                
-                const errorResult = {
-                    testCaseId: testCase.id,
-                    testCaseName: testCase.name,
-                    status: 'fail',
-                    passed: 0,
-                    failed: 1,
-                    skipped: 0,
-                    total: 1,
-                    results: [{
-                        sequence: 1,
-                        description: 'Test execution error',
-                        status: 'fail',
-                        message: error.message,
-                        assertions: []
-                    }]
-                };
-                
-                allResults.push(errorResult);
-
-                // Save error result to database
-                try {
-                    await saveTestResults({
-                        user_id: userId,
-                        test_case: testCase.id,
-                        name: testCase.name,
-                        project_id: projectId,
-                        module_id: testCase.module_id,
-                        status: 'fail',
-                        result: {
-                            passed: 0,
-                            failed: 1,
-                            skipped: 0,
-                            total: 1,
-                            results: errorResult.results,
-                            status: '❌ TEST FAILED',
-                            run_by: 'cloud'
-                        },
-                        fail_screenShot: null
-                    });
-                } catch (dbError) {
-                    console.error('Error saving failed test to database:', dbError);
-                }
-            }
-        }
+    runQueue.cancel(job.id);
+    console.log(`Run ${job.id} cancellation requested`);
 
-        // Calculate overall summary
-        const totalPassed = allResults.reduce((sum, r) => sum + (r.passed || 0), 0);
-        const totalFailed = allResults.reduce((sum, r) => sum + (r.failed || 0), 0);
-        const overallStatus = totalFailed === 0 ? 'passed' : 'failed';
+    res.status(202).json(serializeJob(job));
+});
 
-        const report = {
-            status: overallStatus,
-            totalTestCases: allResults.length,
-            passed: totalPassed,
-            failed: totalFailed,
-            testCases: allResults
-        };
+/**
+ * Export a finished run as JUnit XML (?format=junit) or a standalone HTML report (default).
+ */
+app.get('/api/runs/:id/report', (req, res) => {
+    const job = runQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Run not found' });
+    }
+    if (job.status !== 'finished') {
+        return res.status(409).json({ error: 'Run has not finished yet' });
+    }
 
-        res.json(report);
+    const format = (req.query.format || 'html').toLowerCase();
+    const options = { runId: job.id, createdAt: job.createdAt };
 
-    } catch (error) {
-        console.error('Error running automation:', error);
-        res.status(500).json({ 
-            error: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-        });
-    } finally {
-        // Ensure browser is closed ONCE at the end
-        if (automationService) {
-            try {
-                await automationService.close();
-                console.log('Browser closed successfully');
-            } catch (error) {
-                console.error('Error closing browser:', error);
-            }
+    if (format === 'junit' || format === 'xml') {
+        res.type('application/xml');
+        res.set('Content-Disposition', `attachment; filename="run-${job.id}.xml"`);
+        return res.send(toJUnitXml(job.records, options));
+    }
+    if (format === 'html') {
+        res.type('html');
+        return res.send(toHtml(job.records, options));
+    }
+
+    res.status(400).json({ error: `Unsupported report format: ${format}. Use 'junit' or 'html'` });
+});
+
+/**
+ * Live run progress as Server-Sent Events.
+ * Events already emitted are replayed first, then new ones are streamed until the run finishes.
+ * A run that has already finished only replays its runFinished event.
+ */
+app.get('/api/runs/:id/events', (req, res) => {
+    const job = runQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Run not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = ({ id, event, data }) => {
+        res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    job.events.forEach(send);
+    if (job.status === 'finished') {
+        return res.end();
+    }
+
+    const onEnd = () => res.end();
+    job.emitter.on('event', send);
+    job.emitter.once('end', onEnd);
+
+    req.on('close', () => {
+        job.emitter.off('event', send);
+        job.emitter.off('end', onEnd);
+    });
+});
+
+/**
+ * Accept the screenshot a run captured for a visual assertion as the new baseline.
+ * Body: { runId, baselineKey } (both are in the assertion result).
+ */
+app.post('/api/baselines/accept', async (req, res) => {
+    const { runId, baselineKey } = req.body || {};
+    if (!runId || !baselineKey) {
+        return res.status(400).json({ error: 'runId and baselineKey are required' });
+    }
+    // Run ids are the UUIDs handed out by POST /api/run-automation
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(runId))) {
+        return res.status(400).json({ error: 'Invalid runId' });
+    }
+
+    try {
+        const accepted = await acceptBaseline(runId, baselineKey);
+        if (!accepted) {
+            return res.status(404).json({ error: 'No captured screenshot for this run and baseline' });
         }
+        res.json({ baselineKey, accepted: true });
+    } catch (error) {
+        console.error('Error accepting baseline:', error);
+        res.status(500).json({ error: error.message });
     }
 });
 
 app.listen(port, () => {
     console.log(`Server running on port ${port}`);
-});
\ No newline at end of file
+});
@@ -0,0 +1,195 @@
+const { randomUUID } = require('crypto');
+const { EventEmitter } = require('events');
+
+// Runs executed side by side; their browsers are capped server-wide by browserSlots
+const DEFAULT_MAX_CONCURRENT_RUNS = Math.max(1, parseInt(process.env.MAX_CONCURRENT_RUNS, 10) || 4);
+
+// Finished runs are kept for polling and report exports until they expire or are evicted
+const DEFAULT_MAX_FINISHED_JOBS = Math.max(1, parseInt(process.env.MAX_FINISHED_JOBS, 10) || 100);
+// An explicit 0 drops finished runs right away
+const finishedJobTtlMs = parseInt(process.env.FINISHED_JOB_TTL_MS, 10);
+const DEFAULT_FINISHED_JOB_TTL_MS = Math.max(0, Number.isFinite(finishedJobTtlMs) ? finishedJobTtlMs : 60 * 60 * 1000);
+
+/**
+ * In-process run queue.
+ * Runs are accepted immediately and started in FIFO order, up to maxConcurrentRuns at a time,
+ * so the HTTP request that submitted them never has to stay open.
+ */
+class JobQueue {
+    /**
+     * @param {Function} handler - async (job) => report, executes one run.
+     * @param {Object} options
+     * @param {number} options.maxConcurrentRuns - Runs executed at the same time; later ones wait in the queue.
+     * @param {number} options.maxFinishedJobs - Finished runs kept at most; the oldest are dropped first.
+     * @param {number} options.finishedJobTtlMs - How long a finished run is kept after `finishedAt`.
+     */
+    constructor(handler, {
+        maxConcurrentRuns = DEFAULT_MAX_CONCURRENT_RUNS,
+        maxFinishedJobs = DEFAULT_MAX_FINISHED_JOBS,
+        finishedJobTtlMs = DEFAULT_FINISHED_JOB_TTL_MS
+    } = {}) {
+        this.handler = handler;
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+        this.maxConcurrentRuns = maxConcurrentRuns;
+        this.maxFinishedJobs = maxFinishedJobs;
+        this.finishedJobTtlMs = finishedJobTtlMs;
+        // Ids of finished jobs, oldest first
+        this.finished = [];
+    }
+
+    /**
+     * Queue a new run and return its job record.
+     * @param {Object} payload - The validated run payload.
+     * @returns {Object} - The job ({ id, status, payload, ... }).
+     */
+    enqueue(payload) {
+        const job = {
+            id: randomUUID(),
+            status: 'queued',
+            payload,
+            report: null,
+            // Records persisted through saveTestResults, used for report exports
+            records: [],
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            cancelled: false,
+            abortController: new AbortController(),
+            // Progress events, kept so late subscribers can replay them
+            events: [],
+            emitter: new EventEmitter()
+        };
+
+        this.prune();
+        this.jobs.set(job.id, job);
+        this.pending.push(job);
+        this.processNext();
+
+        return job;
+    }
+
+    get(id) {
+        this.prune();
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Cancel a run. Queued runs are dropped; running runs are aborted at the next safe point.
+     * @param {string} id
+     * @returns {Object|null} - The job, or null if unknown.
+     */
+    cancel(id) {
+        const job = this.get(id);
+        if (!job || job.status === 'finished') return job;
+
+        job.cancelled = true;
+
+        if (job.status === 'queued') {
+            this.pending = this.pending.filter(pendingJob => pendingJob !== job);
+            this.finish(job);
+            return job;
+        }
+
+        job.abortController.abort();
+        return job;
+    }
+
+    /**
+     * Record a progress event on a job and notify live subscribers.
+     * @param {Object} job
+     * @param {string} event - Event name (e.g. 'testCaseStart', 'step').
+     * @param {Object} data - Event payload.
+     */
+    publish(job, event, data) {
+        const entry = { id: job.events.length + 1, event, data };
+        job.events.push(entry);
+        job.emitter.emit('event', entry);
+    }
+
+    processNext() {
+        while (this.running < this.maxConcurrentRuns && this.pending.length > 0) {
+            this.run(this.pending.shift());
+        }
+    }
+
+    async run(job) {
+        this.running++;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+
+        try {
+            job.report = await this.handler(job);
+        } catch (error) {
+            console.error(`❌ Run ${job.id} failed:`, error);
+            job.error = {
+                message: error.message,
+                statusCode: error.statusCode || 500,
+                stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            };
+        } finally {
+            this.finish(job);
+            this.running--;
+            this.processNext();
+        }
+    }
+
+    finish(job) {
+        job.status = 'finished';
+        job.finishedAt = new Date().toISOString();
+
+        let status = job.report?.status || 'error';
+        if (!job.report && job.cancelled) status = 'cancelled';
+
+        this.publish(job, 'runFinished', {
+            status,
+            error: job.error ? job.error.message : null
+        });
+        job.emitter.emit('end');
+
+        // Nobody can subscribe to a finished run any more; late subscribers only get its outcome
+        job.emitter.removeAllListeners();
+        job.emitter = null;
+        job.events = job.events.slice(-1);
+
+        this.finished.push(job.id);
+        this.prune();
+    }
+
+    /**
+     * Drop finished jobs that are past their TTL or beyond the retention limit.
+     */
+    prune() {
+        const expiredBefore = Date.now() - this.finishedJobTtlMs;
+        while (this.finished.length > 0) {
+            const oldest = this.jobs.get(this.finished[0]);
+            const expired = !oldest || Date.parse(oldest.finishedAt) < expiredBefore;
+            if (!expired && this.finished.length <= this.maxFinishedJobs) break;
+
+            this.jobs.delete(this.finished.shift());
+        }
+    }
+}
+
+/**
+ * Public view of a job, as returned by GET /api/runs/:id.
+ */
+function serializeJob(job) {
+    return {
+        runId: job.id,
+        status: job.status,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        cancelled: job.cancelled,
+        error: job.error,
+        report: job.report
+    };
+}
+
+module.exports = {
+    JobQueue,
+    serializeJob
+};
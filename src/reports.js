@@ -0,0 +1,168 @@
+/**
+ * Run report exports (JUnit XML, standalone HTML).
+ * Both are built from the records persisted through saveTestResults, so an export
+ * always matches what landed in test_results / run_history.
+ */
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+const failedSteps = (record) => (record.result?.results || []).filter(step => step.status === 'fail');
+
+function stepLines(record) {
+    return (record.result?.results || []).map(step => {
+        const lines = [`[${step.status}] ${step.sequence}. ${step.description}: ${step.message}`];
+        for (const assertion of step.assertions || []) {
+            lines.push(`    ${assertion.success ? '✓' : '✗'} ${assertion.type}: ${assertion.message}`);
+        }
+        return lines.join('\n');
+    }).join('\n');
+}
+
+/**
+ * Builds a JUnit XML document, one <testsuite> per browser.
+ * @param {Array<Object>} records - Persisted test results, in run order.
+ * @param {Object} options
+ * @param {string} options.runId
+ * @returns {string}
+ */
+function toJUnitXml(records, { runId } = {}) {
+    const suites = new Map();
+    for (const record of records) {
+        const browser = record.result?.browser || 'chromium';
+        if (!suites.has(browser)) suites.set(browser, []);
+        suites.get(browser).push(record);
+    }
+
+    const count = (list, status) => list.filter(record => record.status === status).length;
+    const totalTime = (list) => list.reduce((sum, record) => sum + (record.result?.duration || 0), 0);
+
+    const suiteXml = [...suites.entries()].map(([browser, list]) => {
+        const cases = list.map(record => {
+            const attrs = `name="${escapeXml(record.name)}" classname="${escapeXml(`module.${record.module_id ?? 'none'}.${browser}`)}" time="${seconds(record.result?.duration)}"`;
+            const output = `<system-out>${escapeXml(stepLines(record))}</system-out>`;
+
+            if (record.status === 'fail') {
+                const failures = failedSteps(record);
+                const message = failures.length > 0 ? failures[0].message : 'Test failed';
+                const details = failures.map(step => `Step ${step.sequence} (${step.description}): ${step.message}`).join('\n');
+                return `    <testcase ${attrs}>\n      <failure message="${escapeXml(message)}" type="AssertionError">${escapeXml(details)}</failure>\n      ${output}\n    </testcase>`;
+            }
+            if (record.status === 'cancelled') {
+                return `    <testcase ${attrs}>\n      <skipped message="Run cancelled"/>\n      ${output}\n    </testcase>`;
+            }
+            if (record.status === 'flaky') {
+                return `    <testcase ${attrs}>\n      <properties><property name="flaky" value="true"/></properties>\n      ${output}\n    </testcase>`;
+            }
+            return `    <testcase ${attrs}>\n      ${output}\n    </testcase>`;
+        }).join('\n');
+
+        return `  <testsuite name="${escapeXml(browser)}" tests="${list.length}" failures="${count(list, 'fail')}" errors="0" skipped="${count(list, 'cancelled')}" time="${seconds(totalTime(list))}">\n${cases}\n  </testsuite>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n`
+        + `<testsuites name="${escapeXml(`run ${runId || ''}`.trim())}" tests="${records.length}" failures="${count(records, 'fail')}" errors="0" skipped="${count(records, 'cancelled')}" time="${seconds(totalTime(records))}">\n`
+        + `${suiteXml}\n</testsuites>\n`;
+}
+
+const STATUS_COLORS = {
+    pass: '#1a7f37',
+    fail: '#cf222e',
+    flaky: '#bf8700',
+    cancelled: '#6e7781',
+    skipped: '#6e7781'
+};
+
+/**
+ * Builds a self-contained HTML report (inline CSS, screenshots embedded as data URLs).
+ * @param {Array<Object>} records - Persisted test results, in run order.
+ * @param {Object} options
+ * @param {string} options.runId
+ * @param {string} options.createdAt
+ * @returns {string}
+ */
+function toHtml(records, { runId, createdAt } = {}) {
+    const badge = (status) => `<span class="badge" style="background:${STATUS_COLORS[status] || '#6e7781'}">${escapeHtml(status)}</span>`;
+    const totals = ['pass', 'fail', 'flaky', 'cancelled']
+        .map(status => `${badge(status)} ${records.filter(record => record.status === status).length}`)
+        .join(' ');
+
+    const testCases = records.map(record => {
+        const steps = (record.result?.results || []).map(step => {
+            const assertions = (step.assertions || []).map(assertion =>
+                `<li class="${assertion.success ? 'ok' : 'ko'}">${escapeHtml(assertion.type)}: ${escapeHtml(assertion.message)}</li>`
+            ).join('');
+            return `<tr>
+                <td>${escapeHtml(step.sequence)}</td>
+                <td>${escapeHtml(step.description)}</td>
+                <td>${badge(step.status)}</td>
+                <td>${escapeHtml(step.message)}${assertions ? `<ul>${assertions}</ul>` : ''}</td>
+            </tr>`;
+        }).join('');
+
+        const artifacts = Object.entries(record.result?.artifacts || {})
+            .filter(([, url]) => url)
+            .map(([name, url]) => `<a href="${escapeHtml(url)}">${escapeHtml(name)}</a>`)
+            .join(' · ');
+
+        const screenshot = record.fail_screenShot
+            ? `<img class="screenshot" alt="Failure screenshot" src="${escapeHtml(record.fail_screenShot)}">`
+            : '';
+
+        return `<details${record.status === 'fail' ? ' open' : ''}>
+            <summary>${badge(record.status)} ${escapeHtml(record.name)} <small>(${escapeHtml(record.result?.browser || 'chromium')}, ${seconds(record.result?.duration)}s)</small></summary>
+            <p>Passed ${record.result?.passed ?? 0} · Failed ${record.result?.failed ?? 0} · Skipped ${record.result?.skipped ?? 0} · Total ${record.result?.total ?? 0}${artifacts ? ` · ${artifacts}` : ''}</p>
+            <table>
+                <thead><tr><th>#</th><th>Step</th><th>Status</th><th>Message</th></tr></thead>
+                <tbody>${steps}</tbody>
+            </table>
+            ${screenshot}
+        </details>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Run report ${escapeHtml(runId || '')}</title>
+<style>
+    body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; }
+    h1 { font-size: 1.4rem; }
+    details { border: 1px solid #d0d7de; border-radius: 6px; margin: 0.75rem 0; padding: 0.5rem 1rem; }
+    summary { cursor: pointer; font-weight: 600; }
+    table { border-collapse: collapse; width: 100%; margin: 0.5rem 0; }
+    th, td { border-bottom: 1px solid #d0d7de; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; font-size: 0.9rem; }
+    ul { margin: 0.25rem 0; padding-left: 1.2rem; }
+    li.ok { color: #1a7f37; }
+    li.ko { color: #cf222e; }
+    .badge { color: #fff; border-radius: 1em; padding: 0.1em 0.6em; font-size: 0.8rem; }
+    .screenshot { max-width: 100%; border: 1px solid #d0d7de; margin-top: 0.5rem; }
+</style>
+</head>
+<body>
+<h1>Run report ${escapeHtml(runId || '')}</h1>
+<p>${createdAt ? `${escapeHtml(createdAt)} · ` : ''}${records.length} test case(s) · ${totals}</p>
+${testCases}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    toJUnitXml,
+    toHtml
+};
@@ -0,0 +1,645 @@
+const { fetchTestCase, fetchTestCasesByModuleIds, saveTestResults, updateTestCaseActions } = require('./store');
+const AutomationService = require('./automation');
+const { browserSlots } = require('./browserPool');
+const { artifactPath, artifactUrl, traceViewerUrl } = require('./artifacts');
+const { randomUUID } = require('crypto');
+const { skippedStep } = require('./utils');
+const { DEFAULT_MIN_SCORE, applyHealedLocator } = require('./healing');
+
+const RESULT_LABELS = {
+    pass: '✅ TEST PASSED',
+    fail: '❌ TEST FAILED',
+    flaky: '⚠️ TEST FLAKY',
+    cancelled: '⛔ TEST CANCELLED'
+};
+
+/**
+ * Error carrying the HTTP status the run should be reported with.
+ */
+function runError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function summarizeResults(results) {
+    const passed = results.filter(r => r.status === 'pass').length;
+    const failed = results.filter(r => r.status === 'fail').length;
+    const skipped = results.filter(r => r.status === 'skipped').length;
+    return { passed, failed, skipped, total: results.length };
+}
+
+/**
+ * Resolve which test cases a payload selects, in execution order.
+ */
+async function selectTestCases({ testCaseId, moduleIds, socialAuth, ...payload }) {
+    // CASE A: Single test case execution
+    if (testCaseId) {
+        console.log(`Running single test case: ${testCaseId}`);
+
+        const testCase = await fetchTestCase(testCaseId);
+        if (!testCase) {
+            throw runError('Test case not found', 404);
+        }
+
+        return [testCase];
+    }
+
+    // CASE B: Multiple test cases from modules
+    if (Array.isArray(moduleIds) && moduleIds.length > 0) {
+        console.log(`Running test cases from modules: ${moduleIds.join(', ')}`);
+
+        // Fetch all test cases from modules, sorted by created_at
+        const testCases = await fetchTestCasesByModuleIds({ moduleIds, ...payload });
+
+        if (!testCases || testCases.length === 0) {
+            throw runError('No test cases found in specified modules', 404);
+        }
+
+        // Filter out auth test case if it exists in the list
+        const authTestCaseId = socialAuth?.authTestCaseId;
+        const testCasesToRun = testCases.filter(tc => tc.id !== authTestCaseId);
+
+        console.log(`Found ${testCasesToRun.length} test cases to run (excluding auth test case)`);
+        return testCasesToRun;
+    }
+
+    throw runError('Either testCaseId or moduleIds must be provided', 400);
+}
+
+/**
+ * Run the login flow requested by the payload so later test cases share the session.
+ */
+async function establishSession(automationService, payload, signal) {
+    const { loginRequired, loginMode, socialAuth, otp } = payload;
+    if (!loginRequired) return;
+
+    if (loginMode === 'social' && socialAuth?.authTestCaseId) {
+        console.log('Running auth test case first...');
+        const authTest = await fetchTestCase(socialAuth.authTestCaseId);
+        if (!authTest) {
+            throw runError('Auth test case not found', 404);
+        }
+
+        // Run auth test (don't save results for auth test)
+        if (authTest.url) await automationService.navigateTo(authTest.url);
+        await automationService.runActionsStopOnFailure(authTest.actions || [], {
+            signal,
+            selfHealing: healingSettings(payload)
+        });
+
+        console.log('Auth test completed, session established');
+    } else if (loginMode === 'otp' && otp) {
+        console.log('Setting OTP storage...');
+        await automationService.setOtpStorage(otp);
+    }
+}
+
+/**
+ * Result for a test case that was never started because the run was cancelled.
+ */
+function cancelledTestResult(testCase) {
+    const results = (testCase.actions || []).map((action, i) => skippedStep(action, i, 'Run cancelled'));
+    return {
+        testCaseId: testCase.id,
+        testCaseName: testCase.name,
+        status: 'cancelled',
+        ...summarizeResults(results),
+        results
+    };
+}
+
+/**
+ * Result for a test case that failed before or outside of its steps.
+ * @param {Object} testCase
+ * @param {string} description - What failed, shown as the result's only step.
+ * @param {Error} error
+ */
+function failedTestResult(testCase, description, error) {
+    return {
+        testCaseId: testCase.id,
+        testCaseName: testCase.name,
+        status: 'fail',
+        passed: 0,
+        failed: 1,
+        skipped: 0,
+        total: 1,
+        results: [{
+            sequence: 1,
+            description,
+            status: 'fail',
+            message: error.message,
+            assertions: []
+        }]
+    };
+}
+
+/**
+ * What each attempt of a test case did, without its full step results.
+ * @param {Array<Object>} attempts - From runTestCase.
+ * @returns {Array<Object>|undefined} - `{ attempt, status, passed, failed, skipped, total, failures }`,
+ *   where failures lists the failed steps' `{ sequence, description, message }`.
+ */
+function summarizeAttempts(attempts) {
+    return attempts?.map(({ attempt, status, passed, failed, skipped, total, results = [] }) => ({
+        attempt,
+        status,
+        passed,
+        failed,
+        skipped,
+        total,
+        failures: results
+            .filter(result => result.status === 'fail')
+            .map(({ sequence, description, message }) => ({ sequence, description, message }))
+    }));
+}
+
+/**
+ * Persist one test case result to test_results and run_history.
+ * @returns {Promise<Object>} - The record handed to saveTestResults (also used for report exports).
+ */
+async function persistTestResult(testResult, testCase, { userId, projectId }, failScreenshot = null) {
+    const record = {
+        user_id: userId,
+        test_case: testCase.id,
+        name: testCase.name,
+        project_id: projectId,
+        module_id: testCase.module_id,
+        status: testResult.status,
+        result: {
+            browser: testResult.browser,
+            passed: testResult.passed,
+            failed: testResult.failed,
+            skipped: testResult.skipped,
+            total: testResult.total,
+            duration: testResult.duration,
+            results: testResult.results,
+            attempts: summarizeAttempts(testResult.attempts),
+            artifacts: testResult.artifacts,
+            diagnostics: testResult.diagnostics,
+            healedLocatorsSaved: testResult.healedLocatorsSaved,
+            status: RESULT_LABELS[testResult.status],
+            run_by: 'cloud'
+        },
+        fail_screenShot: failScreenshot
+    };
+
+    try {
+        await saveTestResults(record);
+        console.log(`✅ Test case ${testCase.id} saved to database`);
+    } catch (dbError) {
+        console.error('❌ Error saving to database:', dbError);
+    }
+
+    return record;
+}
+
+/**
+ * Retry settings for a test case: run-wide `payload.retries`, overridden by `testCase.retries`.
+ * @returns {Object} - { testCase, step, stepBackoffMs }
+ */
+function retrySettings(payload, testCase) {
+    const settings = { ...(payload.retries || {}), ...(testCase.retries || {}) };
+    // An explicit 0 disables the backoff
+    const stepBackoffMs = parseInt(settings.stepBackoffMs, 10);
+    return {
+        testCase: Math.max(0, parseInt(settings.testCase, 10) || 0),
+        step: Math.max(0, parseInt(settings.step, 10) || 0),
+        stepBackoffMs: Math.max(0, Number.isFinite(stepBackoffMs) ? stepBackoffMs : 1000)
+    };
+}
+
+/**
+ * Self-healing settings: `payload.selfHealing` is a boolean or `{ enabled, minScore, writeBack }`.
+ * Healing is on by default; writing healed locators back to the test case is opt-in.
+ * @returns {Object} - { enabled, minScore, writeBack }
+ */
+function healingSettings(payload) {
+    const settings = typeof payload.selfHealing === 'object' && payload.selfHealing !== null
+        ? payload.selfHealing
+        : { enabled: payload.selfHealing !== false };
+    return {
+        enabled: settings.enabled !== false,
+        minScore: Number.isFinite(settings.minScore) ? settings.minScore : DEFAULT_MIN_SCORE,
+        writeBack: !!settings.writeBack
+    };
+}
+
+/**
+ * Write the locators healed during a passing test case back to its recorded actions.
+ * @param {Object} testCase
+ * @param {Map} healed - Recorded element -> heal, from AutomationService.takeHealedLocators.
+ * @returns {Promise<number>} - How many locators were written back.
+ */
+async function saveHealedLocators(testCase, healed) {
+    let count = 0;
+    const heal = (element) => {
+        if (!element || !healed.has(element)) return element;
+        count++;
+        return applyHealedLocator(element, healed.get(element));
+    };
+
+    const actions = (testCase.actions || []).map(action => {
+        const element = heal(action.element);
+        const dropTarget = heal(action.dropTarget);
+        if (element === action.element && dropTarget === action.dropTarget) return action;
+        return { ...action, element, ...(action.dropTarget ? { dropTarget } : {}) };
+    });
+
+    if (count > 0) {
+        await updateTestCaseActions(testCase.id, actions);
+        console.log(`🩹 Wrote ${count} healed locator(s) back to test case ${testCase.id}`);
+    }
+    return count;
+}
+
+/**
+ * Run one test case, retrying failed attempts as configured.
+ * A test case that passes only after a retry (of the test case or of a step) is reported as 'flaky'.
+ * @returns {Promise<Object>} - { testResult, failScreenshot }
+ */
+async function runTestCase(automationService, testCase, options) {
+    const { onEvent, signal, browser, retries } = options;
+    const maxAttempts = 1 + retries.testCase;
+    const attempts = [];
+    const startedAt = Date.now();
+    let outcome;
+
+    // Drop whatever the session setup or the previous test case logged (or healed)
+    automationService.takeDiagnostics();
+    automationService.takeHealedLocators();
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        if (attempt > 1) {
+            console.warn(`🔁 Retrying test case ${testCase.id} (attempt ${attempt}/${maxAttempts})`);
+            onEvent('testCaseRetry', { testCaseId: testCase.id, testCaseName: testCase.name, browser, attempt });
+        }
+
+        outcome = await runTestCaseAttempt(automationService, testCase, { ...options, attempt });
+
+        const { testCaseId, testCaseName, ...attemptResult } = outcome.testResult;
+        attempts.push({ attempt, ...attemptResult });
+
+        if (outcome.testResult.status !== 'fail' || signal?.aborted) break;
+    }
+
+    const { testResult, failScreenshot } = outcome;
+    const retried = attempts.length > 1 || testResult.results.some(r => r.flaky);
+    const status = testResult.status === 'pass' && retried ? 'flaky' : testResult.status;
+
+    // Healed locators are only trusted once the test case passed with them
+    const healed = automationService.takeHealedLocators();
+    let healedLocatorsSaved;
+    if (options.selfHealing.writeBack && testResult.status === 'pass' && healed.size > 0) {
+        try {
+            healedLocatorsSaved = await saveHealedLocators(testCase, healed);
+        } catch (error) {
+            console.error('❌ Error writing healed locators back:', error.message);
+        }
+    }
+
+    return {
+        testResult: {
+            ...testResult,
+            status,
+            duration: Date.now() - startedAt,
+            attempts,
+            diagnostics: automationService.takeDiagnostics(),
+            healedLocatorsSaved
+        },
+        failScreenshot
+    };
+}
+
+/**
+ * Wrap a test case in trace/video recording and attach links to the saved artifacts.
+ * The video covers the worker's whole session; the test case's part of it is linked with a
+ * media fragment (`#t=start,end`). Recording problems are logged and never fail the test case.
+ */
+async function withRecording(automationService, testCase, { runId, browser, workerId, trace, video }, run) {
+    if (!trace && !video) return run();
+
+    try {
+        await automationService.startTestRecording({ trace, video });
+    } catch (error) {
+        console.warn('⚠️ Could not start recording (non-blocking):', error.message);
+    }
+
+    const outcome = await run();
+
+    try {
+        const files = await automationService.stopTestRecording({
+            tracePath: trace ? await artifactPath(runId, browser, `${testCase.id}-trace.zip`) : null,
+            videoPath: video ? await artifactPath(runId, browser, `worker${workerId}-video.webm`) : null
+        });
+
+        const artifacts = {};
+        if (files.trace) {
+            artifacts.trace = artifactUrl(files.trace);
+            artifacts.traceViewer = traceViewerUrl(artifacts.trace);
+        }
+        if (files.video) {
+            const { path: videoFile, start, end } = files.video;
+            artifacts.video = `${artifactUrl(videoFile)}#t=${start.toFixed(1)},${end.toFixed(1)}`;
+        }
+        outcome.testResult.artifacts = artifacts;
+    } catch (error) {
+        console.warn('⚠️ Could not save recording (non-blocking):', error.message);
+    }
+
+    return outcome;
+}
+
+/**
+ * Run one attempt of a test case in an already prepared browser session.
+ * @returns {Promise<Object>} - { testResult, failScreenshot }
+ */
+async function runTestCaseAttempt(automationService, testCase, {
+    onEvent,
+    signal,
+    browser,
+    retries,
+    attempt,
+    softAssertions,
+    continueOnFailure,
+    assertionTimeoutMs,
+    stepWait,
+    selfHealing,
+    runId
+}) {
+    try {
+        console.log(`Running test case: ${testCase.id} - ${testCase.name}`);
+
+        // Popups left open by a previous test case (or attempt) would otherwise linger
+        await automationService.closeOtherTabs();
+
+        // Navigate to test case URL
+        if (testCase.url) {
+            await automationService.navigateTo(testCase.url);
+        }
+
+        // Run actions with stop on failure
+        const results = await automationService.runActionsStopOnFailure(testCase.actions || [], {
+            signal,
+            stepRetries: retries.step,
+            stepBackoffMs: retries.stepBackoffMs,
+            softAssertions,
+            continueOnFailure,
+            assertionTimeoutMs,
+            stepWait,
+            selfHealing,
+            testContext: { runId, testCaseId: testCase.id, browser },
+            onStep: (step) => onEvent('step', {
+                testCaseId: testCase.id,
+                browser,
+                attempt,
+                sequence: step.sequence,
+                description: step.description,
+                status: step.status,
+                message: step.message,
+                assertions: step.assertions
+            })
+        });
+
+        // Calculate summary
+        const summary = summarizeResults(results);
+        let status = summary.failed > 0 ? 'fail' : 'pass';
+        if (signal?.aborted && summary.failed === 0 && summary.skipped > 0) status = 'cancelled';
+
+        // Capture screenshot if failed
+        let failScreenshot = null;
+        if (status === 'fail') {
+            try {
+                failScreenshot = await automationService.captureScreenshot();
+            } catch (error) {
+                console.error('Error capturing screenshot:', error);
+            }
+        }
+
+        return {
+            testResult: {
+                testCaseId: testCase.id,
+                testCaseName: testCase.name,
+                status,
+                ...summary,
+                results
+            },
+            failScreenshot
+        };
+    } catch (error) {
+        if (signal?.aborted) {
+            return { testResult: cancelledTestResult(testCase), failScreenshot: null };
+        }
+
+        console.error(`❌ Error running test case ${testCase.id}:`, error);
+
+        return {
+            testResult: failedTestResult(testCase, 'Test execution error', error),
+            failScreenshot: null
+        };
+    }
+}
+
+/**
+ * Resolve the browsers a payload asks for, in request order.
+ * @returns {Array<string>}
+ */
+function selectBrowsers({ browsers, browserName }) {
+    if (Array.isArray(browsers) && browsers.length > 0) {
+        return [...new Set(browsers.map(name => String(name).toLowerCase()))];
+    }
+    return [(browserName || 'chromium').toLowerCase()];
+}
+
+/**
+ * Test × browser pass/fail matrix for the report.
+ */
+function buildMatrix(testCases, browsers, allResults) {
+    return {
+        browsers,
+        rows: testCases.map((testCase, tcIndex) => ({
+            testCaseId: testCase.id,
+            testCaseName: testCase.name,
+            results: Object.fromEntries(browsers.map((browser, bIndex) => [
+                browser,
+                allResults[tcIndex * browsers.length + bIndex]?.status || null
+            ]))
+        }))
+    };
+}
+
+/**
+ * Execute a full automation run (login, test case selection, execution, persistence).
+ * Every selected test case runs once per requested browser. For each browser, test cases
+ * are spread over `payload.workers` isolated browsers (default 1, i.e. sequential in a
+ * single session); the report always keeps the selection (created_at) order.
+ * A worker that cannot launch or log in stops and leaves its test cases to the browser's other
+ * workers; only when none of them launched do that browser's test cases fail. The other
+ * browsers of the run still finish.
+ * @param {Object} payload - The validated run payload.
+ * @param {Object} options
+ * @param {Function} options.onEvent - Progress listener, called as (event, data).
+ * @param {AbortSignal} options.signal - Aborts the run; unfinished test cases are recorded as cancelled.
+ * @param {string} options.runId - Groups the run's artifacts (traces, videos).
+ * @returns {Promise<Object>} - { report, records }: the run report and, in the same order,
+ *   the records persisted through saveTestResults.
+ */
+async function executeRun(payload, { onEvent = () => {}, signal, runId = randomUUID() } = {}) {
+    const testCasesToRun = await selectTestCases(payload);
+    const browsers = selectBrowsers(payload);
+    const workerCount = Math.max(1, Math.min(parseInt(payload.workers, 10) || 1, testCasesToRun.length));
+
+    // Results are indexed test case first, then browser, so the report keeps created_at order
+    const allResults = new Array(testCasesToRun.length * browsers.length);
+    const allRecords = new Array(allResults.length);
+    const services = new Set();
+
+    // Closing the browsers interrupts whatever actions are in flight
+    const onAbort = () => {
+        console.log('⛔ Run cancelled, closing browsers');
+        for (const automationService of services) {
+            automationService.close().catch((error) => console.error('Error closing browser:', error));
+        }
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const settle = async (slot, testCase, testResult, failScreenshot = null) => {
+        allResults[slot] = testResult;
+        const { results, ...summary } = testResult;
+        onEvent('testCaseFinish', summary);
+
+        // Save to database
+        allRecords[slot] = await persistTestResult(testResult, testCase, payload, failScreenshot);
+    };
+
+    const runBrowser = async (browser, bIndex) => {
+        let nextIndex = 0;
+        // Set when a worker cannot launch or log in; that worker stops, the others keep going
+        let launchError = null;
+
+        const worker = async (workerId) => {
+            // Other workers may have taken every test case already; don't launch a browser for nothing
+            if (nextIndex >= testCasesToRun.length) return;
+
+            const automationService = new AutomationService();
+            let release = null;
+            let launched = false;
+
+            try {
+                try {
+                    release = await browserSlots.acquire(signal);
+                    // ...including while this worker was waiting for a slot
+                    if (nextIndex >= testCasesToRun.length) return;
+
+                    launched = true;
+                    services.add(automationService);
+
+                    // Each worker has its own browser and its own logged-in session
+                    await automationService.init({ browserName: browser, headless: payload.headless, recordVideo: !!payload.video });
+                    await establishSession(automationService, payload, signal);
+                } catch (error) {
+                    // A cancelled run still records its test cases below
+                    if (!signal?.aborted) {
+                        console.error(`❌ Could not start ${browser} (worker ${workerId}):`, error);
+                        launchError = launchError || error;
+                        return;
+                    }
+                }
+
+                while (nextIndex < testCasesToRun.length) {
+                    const index = nextIndex++;
+                    const testCase = testCasesToRun[index];
+                    const slot = index * browsers.length + bIndex;
+
+                    if (signal?.aborted) {
+                        await settle(slot, testCase, { ...cancelledTestResult(testCase), browser });
+                        continue;
+                    }
+
+                    onEvent('testCaseStart', {
+                        testCaseId: testCase.id,
+                        testCaseName: testCase.name,
+                        browser,
+                        index: index + 1,
+                        totalTestCases: testCasesToRun.length,
+                        worker: workerId
+                    });
+
+                    const recording = { runId, browser, workerId, trace: !!payload.trace, video: !!payload.video };
+                    const { testResult, failScreenshot } = await withRecording(automationService, testCase, recording, () =>
+                        runTestCase(automationService, testCase, {
+                            runId,
+                            onEvent,
+                            signal,
+                            browser,
+                            retries: retrySettings(payload, testCase),
+                            softAssertions: !!payload.softAssertions,
+                            continueOnFailure: !!payload.continueOnFailure,
+                            assertionTimeoutMs: payload.assertionTimeoutMs,
+                            stepWait: payload.stepWait,
+                            selfHealing: healingSettings(payload)
+                        })
+                    );
+                    await settle(slot, testCase, { ...testResult, browser }, failScreenshot);
+                }
+            } finally {
+                services.delete(automationService);
+                if (launched) {
+                    try {
+                        await automationService.close();
+                        console.log(`Browser closed successfully (${browser} worker ${workerId})`);
+                    } catch (error) {
+                        console.error('Error closing browser:', error);
+                    }
+                }
+                if (release) release();
+            }
+        };
+
+        await Promise.all(Array.from({ length: workerCount }, (_, i) => worker(i + 1)));
+
+        // Test cases are only left over when no worker of this browser launched;
+        // they fail in this browser's column only
+        while (launchError && nextIndex < testCasesToRun.length) {
+            const index = nextIndex++;
+            const testCase = testCasesToRun[index];
+            const testResult = signal?.aborted
+                ? cancelledTestResult(testCase)
+                : failedTestResult(testCase, `Could not start ${browser}`, launchError);
+            await settle(index * browsers.length + bIndex, testCase, { ...testResult, browser });
+        }
+    };
+
+    try {
+        console.log(`Running ${testCasesToRun.length} test cases on ${browsers.join(', ')} with ${workerCount} worker(s) per browser`);
+        await Promise.all(browsers.map(runBrowser));
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+    }
+
+    // Calculate overall summary
+    const testCases = allResults.filter(Boolean);
+    const totalPassed = testCases.reduce((sum, r) => sum + (r.passed || 0), 0);
+    const totalFailed = testCases.reduce((sum, r) => sum + (r.failed || 0), 0);
+    const flakyTestCases = testCases.filter(r => r.status === 'flaky').length;
+    let overallStatus = totalFailed === 0 ? 'passed' : 'failed';
+    if (signal?.aborted) overallStatus = 'cancelled';
+
+    const report = {
+        status: overallStatus,
+        browsers,
+        totalTestCases: testCases.length,
+        passed: totalPassed,
+        failed: totalFailed,
+        flaky: flakyTestCases,
+        testCases,
+        matrix: buildMatrix(testCasesToRun, browsers, allResults)
+    };
+
+    return { report, records: allRecords.filter(Boolean) };
+}
+
+module.exports = {
+    executeRun,
+    summarizeResults
+};
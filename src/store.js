@@ -0,0 +1,29 @@
+require('dotenv').config();
+
+/**
+ * Storage interface used by the runner: fetchTestCase, fetchTestCasesByModuleIds, saveTestResults,
+ * updateTestCaseActions.
+ * The adapter is chosen with STORE_BACKEND ('supabase' by default, or 'file').
+ */
+const ADAPTERS = {
+    supabase: () => require('./supabase'),
+    file: () => require('./fileStore')
+};
+
+const backend = (process.env.STORE_BACKEND || 'supabase').toLowerCase();
+
+if (!ADAPTERS[backend]) {
+    throw new Error(`Unsupported STORE_BACKEND: ${backend}. Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+}
+
+const { fetchTestCase, fetchTestCasesByModuleIds, saveTestResults, updateTestCaseActions } = ADAPTERS[backend]();
+
+console.log(`Using ${backend} store`);
+
+module.exports = {
+    backend,
+    fetchTestCase,
+    fetchTestCasesByModuleIds,
+    saveTestResults,
+    updateTestCaseActions
+};
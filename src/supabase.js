@@ -1,14 +1,25 @@
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
+let supabase = null;
 
-if (!supabaseUrl || !supabaseKey) {
-    throw new Error('Missing Supabase URL or Key');
-}
+/**
+ * Returns the shared Supabase client, creating it on first use.
+ * @returns {Object} - The Supabase client.
+ */
+function getClient() {
+    if (supabase) return supabase;
+
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+        throw new Error('Missing Supabase URL or Key');
+    }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+    supabase = createClient(supabaseUrl, supabaseKey);
+    return supabase;
+}
 
 /**
  * Fetches a test case by ID.
@@ -16,7 +27,7 @@ const supabase = createClient(supabaseUrl, supabaseKey);
  * @returns {Promise<Object>} - The test case data.
  */
 async function fetchTestCase(id) {
-    const { data, error } = await supabase
+    const { data, error } = await getClient()
         .from('test_cases')
         .select('*')
         .eq('id', id)
@@ -43,7 +54,7 @@ async function saveTestResults({
         
         // Step 1: Upsert into test_results table
         // This creates or updates the test result based on test_case ID
-        const { data, error: upsertError } = await supabase
+        const { data, error: upsertError } = await getClient()
             .from('test_results')
             .upsert(
                 {
@@ -80,7 +91,7 @@ async function saveTestResults({
                 result // This contains: { passed, failed, skipped, total, results: [], status: '✅ TEST PASSED', run_by: 'cloud' }
             };
 
-            const { data: runData, error: historyError } = await supabase
+            const { data: runData, error: historyError } = await getClient()
                 .from('run_history')
                 .insert(newHistoryEntry)
                 .select();
@@ -101,12 +112,6 @@ async function saveTestResults({
     }
 }
 
-module.exports = {
-    supabase,
-    fetchTestCase,
-    saveTestResults
-};
-
 /**
  * Fetches all test cases for given module IDs, ordered by created_at ascending.
  * @param {Array<string|number>} moduleIds
@@ -115,7 +120,7 @@ module.exports = {
 async function fetchTestCasesByModuleIds({moduleIds,userId,projectId}) {
     if (!Array.isArray(moduleIds) || moduleIds.length === 0) return [];
 
-    const { data, error } = await supabase
+    const { data, error } = await getClient()
         .from('test_cases')
         .select('*')
         .in('module_id', moduleIds)
@@ -130,4 +135,27 @@ async function fetchTestCasesByModuleIds({moduleIds,userId,projectId}) {
     return data || [];
 }
 
-module.exports.fetchTestCasesByModuleIds = fetchTestCasesByModuleIds;
+/**
+ * Replaces the recorded actions of a test case (used to write healed locators back).
+ * @param {string|number} id - The ID of the test case.
+ * @param {Array} actions - The updated actions.
+ * @returns {Promise<void>}
+ */
+async function updateTestCaseActions(id, actions) {
+    const { error } = await getClient()
+        .from('test_cases')
+        .update({ actions })
+        .eq('id', id);
+
+    if (error) {
+        throw new Error(`Error updating test case: ${error.message}`);
+    }
+}
+
+module.exports = {
+    getClient,
+    fetchTestCase,
+    fetchTestCasesByModuleIds,
+    saveTestResults,
+    updateTestCaseActions
+};
@@ -22,113 +22,31 @@ const normalizeUrl = (url) => {
         return url;
     }
 };
- async function runAssertions(action,page, element) {
-   
-  const results = [];
-  const assertions = action.assertions || {};
- 
-  for (const [type, assertion] of Object.entries(assertions)) {
-    console.log("type",type)
-    const expected = assertion.value || "";
-    let success = true;
-    let message = "";
-
-    switch (type) {
-      case 'ValidEmail':
-        success = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(element?.value || "");
-        message = success ? "Valid email" : "Invalid email";
-        break;
-      case 'formHasValue':
-        success = (element?.value || "") === expected;
-        message = success
-          ? "Value matches"
-          : `Value is "${element?.value}", expected "${expected}"`;
-        break;
-      case 'pageHasTitle': {
-  const title = await page.title();
-  success = title.toLowerCase().includes(expected.toLowerCase());
-  message = success
-    ? "Title includes value"
-    : `Title does not include "${expected}"`;
-  break;
-}
-
-      case 'pageHasText': {
-  const pageText = await page.evaluate(() =>
-    document.body.innerText.toLowerCase()
-  );
-  success = pageText.includes(expected.toLowerCase());
-  message = success
-    ? "Page contains expected text"
-    : `Page does not contain "${expected}"`;
-  break;
-}
-
-      case 'elementHasText':
-        const actualText = element?.textContent?.trim().toLowerCase() || "";
-        success = actualText.includes(expected.toLowerCase());
-        message = success
-          ? "Element has expected text"
-          : `Text "${expected}" not found in element`;
-        break;
-             case "elementIsVisible": {
-  success = false;
-
-  if (!element?.xpath?.length) {
-    message = "No xpath available to locate element";
-    break;
-  }
-
-  for (const xp of element.xpath) {
-    const locator = page.locator(`xpath=${xp}`);
-
-    try {
-      if (await locator.count() > 0 && await locator.first().isVisible()) {
-        success = true;
-        break;
-      }
-    } catch (e) {
-      // ignore invalid xpath / detached element
-    }
-  }
-
-  message = success ? "Element is visible" : "Element is not visible";
-  break;
-}
-
-
-
-
-       case "downloadStarted": {
-  try {
-    const download = await page.waitForEvent("download", {
-      timeout: 5000, // 5s timeout (adjust if needed)
-    });
 
-    success = !!download;
-    message = success
-      ? "Download has started"
-      : "Expected download to start, but it did not";
-  } catch (err) {
-    success = false;
-    message = "Expected download to start, but it did not within timeout";
-  }
-  break;
-}
+/**
+ * Normalizes a URL pathname for comparison (trailing slashes are not significant).
+ * @param {string} pathname - The pathname to normalize.
+ * @returns {string} - The normalized pathname.
+ */
+const normalizePath = (pathname) => String(pathname || '/').replace(/\/+$/, '') || '/';
 
-      default:
-        message = `⚠️ Unsupported assertion: ${type}`;
-        success = false;
-        break;
+/**
+ * Matches text (usually a URL) against a pattern: `/regex/flags`, a glob with `*` wildcards, or a plain substring.
+ * Only RegExp flags count as flags, so a path such as "/api/orders" is a substring, not /api/ with flags "orders".
+ */
+function matchPattern(pattern, text) {
+    const source = String(pattern ?? '');
+    const regex = source.match(/^\/(.+)\/([dgimsuy]*)$/);
+    if (regex) {
+        return new RegExp(regex[1], regex[2]).test(text);
     }
-    const updatedMessage = success ? message : 'Assertion failed: ' + message;
-    results.push({ type, message: updatedMessage, success });
-    if (!success) {
-      break;
+    if (source.includes('*')) {
+        const escaped = source.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${escaped}$`).test(text);
     }
-  }
-  return results;
+    return String(text).includes(source);
 }
+
  function resolveVariableValue(variable) {
   if (!variable) return "";
 const IS_CUSTOM = ['randomName','randomNumber','randomAlphaNumeric','randomEmail']
@@ -175,6 +93,21 @@ const IS_CUSTOM = ['randomName','randomNumber','randomAlphaNumeric','randomEmail
   // 🧾 Custom variable (use stored value)
   return value || "";
 }
+/**
+ * Builds the result entry for a step that was never executed.
+ * @param {Object} action - The recorded action.
+ * @param {number} index - Zero-based position of the action in the test case.
+ * @param {string} message - Why the step was skipped.
+ * @returns {Object} - A step result with status 'skipped'.
+ */
+const skippedStep = (action, index, message) => ({
+    sequence: action.sequence || index + 1,
+    description: action.description || action.type,
+    status: 'skipped',
+    message,
+    assertions: []
+});
+
  function validateCloudPayload(payload) {
   // Validate browserName - required for all cases
   if (!(payload.userId && payload.projectId)) {
@@ -183,12 +116,54 @@ const IS_CUSTOM = ['randomName','randomNumber','randomAlphaNumeric','randomEmail
       error: "userId and projectId is required"
     };
   }
-  if (!payload.browser) {
+  if (!payload.browser && !(Array.isArray(payload.browsers) && payload.browsers.length > 0)) {
     return {
       success: false,
       error: "Browser name is required"
     };
   }
+  if (payload.browsers !== undefined) {
+    const supported = ['chromium', 'firefox', 'webkit'];
+    if (!Array.isArray(payload.browsers) || payload.browsers.length === 0) {
+      return {
+        success: false,
+        error: "browsers must be a non-empty array"
+      };
+    }
+    const unsupported = payload.browsers.filter((name) => !supported.includes(String(name).toLowerCase()));
+    if (unsupported.length > 0) {
+      return {
+        success: false,
+        error: `Unsupported browser(s): ${unsupported.join(", ")}`
+      };
+    }
+  }
+  if (payload.workers !== undefined && !(Number.isInteger(payload.workers) && payload.workers > 0)) {
+    return {
+      success: false,
+      error: "workers must be a positive integer"
+    };
+  }
+  if (payload.assertionTimeoutMs !== undefined && !(Number.isFinite(payload.assertionTimeoutMs) && payload.assertionTimeoutMs >= 0)) {
+    return {
+      success: false,
+      error: "assertionTimeoutMs must be a non-negative number"
+    };
+  }
+  if (payload.stepWait !== undefined && !(Number.isFinite(payload.stepWait) && payload.stepWait >= 0)) {
+    return {
+      success: false,
+      error: "stepWait must be a non-negative number of seconds"
+    };
+  }
+  if (payload.selfHealing !== undefined && typeof payload.selfHealing !== 'boolean'
+    && (typeof payload.selfHealing !== 'object' || payload.selfHealing === null
+      || (payload.selfHealing.minScore !== undefined && !Number.isFinite(payload.selfHealing.minScore)))) {
+    return {
+      success: false,
+      error: "selfHealing must be a boolean or { enabled, minScore, writeBack }"
+    };
+  }
   // Case 1: Login not required
   if (!payload.loginRequired) {
     // Only browserName and testCaseId required (already validated above)
@@ -286,7 +261,9 @@ const IS_CUSTOM = ['randomName','randomNumber','randomAlphaNumeric','randomEmail
 module.exports = {
     delay,
     normalizeUrl,
-    runAssertions,
+    normalizePath,
+    matchPattern,
     resolveVariableValue,
+    skippedStep,
     validateCloudPayload
 };
@@ -0,0 +1,145 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const { artifactFile, artifactPath, artifactUrl } = require('./artifacts');
+require('dotenv').config();
+
+/**
+ * Visual regression: screenshots are compared against baselines stored in BASELINE_DIR.
+ * The first run of a visual assertion stores its screenshot as the baseline; later runs
+ * diff against it and keep the actual/diff images as run artifacts.
+ */
+
+const baselineRoot = () => path.resolve(process.env.BASELINE_DIR || 'baselines');
+
+const sanitizeKey = (key) => String(key).replace(/[^\w.-]+/g, '_');
+
+/**
+ * Baseline key for a visual assertion.
+ * @param {Object} options
+ * @param {string|number} options.testCaseId
+ * @param {string} options.browser
+ * @param {number} options.sequence - Step sequence the assertion belongs to.
+ * @param {string} options.name - Optional name, to tell several visual assertions of one step apart.
+ * @returns {string}
+ */
+function baselineKey({ testCaseId, browser, sequence, name }) {
+    return sanitizeKey([testCaseId, browser, `step${sequence}`, name].filter(part => part !== undefined && part !== null && part !== '').join('-'));
+}
+
+const baselinePath = (key) => path.join(baselineRoot(), `${sanitizeKey(key)}.png`);
+
+async function readIfExists(filePath) {
+    try {
+        return await fs.readFile(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Paints rectangles in a decoded PNG so they never count as differences.
+ * @param {PNG} png
+ * @param {Array<Object>} regions - `{ x, y, width, height }` in CSS pixels of the screenshot.
+ */
+function maskRegions(png, regions = []) {
+    for (const { x = 0, y = 0, width = 0, height = 0 } of regions) {
+        const x0 = Math.max(0, Math.floor(x));
+        const y0 = Math.max(0, Math.floor(y));
+        const x1 = Math.min(png.width, Math.ceil(x + width));
+        const y1 = Math.min(png.height, Math.ceil(y + height));
+        for (let row = y0; row < y1; row++) {
+            for (let col = x0; col < x1; col++) {
+                const idx = (png.width * row + col) << 2;
+                png.data[idx] = 255;
+                png.data[idx + 1] = 0;
+                png.data[idx + 2] = 255;
+                png.data[idx + 3] = 255;
+            }
+        }
+    }
+}
+
+/**
+ * Compares a screenshot with its baseline, creating the baseline on first use.
+ * @param {Object} options
+ * @param {string} options.runId - Run the actual/diff images are stored under.
+ * @param {string} options.key - Baseline key (see baselineKey).
+ * @param {Buffer} options.screenshot - PNG buffer of the current screenshot.
+ * @param {number} options.threshold - Per-pixel color distance tolerance, 0..1 (default 0.1).
+ * @param {number} options.maxDiffPixelRatio - Share of differing pixels still accepted, 0..1 (default 0).
+ * @param {Array<Object>} options.maskRegions - Rectangles ignored in the comparison.
+ * @returns {Promise<Object>} - `{ status, diffPixels, diffRatio, images }` where status is
+ *   'baselineCreated' | 'match' | 'mismatch' | 'sizeMismatch' and images holds artifact URLs.
+ */
+async function compareWithBaseline({ runId, key, screenshot, threshold = 0.1, maxDiffPixelRatio = 0, maskRegions: regions = [] }) {
+    const baselineFile = baselinePath(key);
+    const baselineBuffer = await readIfExists(baselineFile);
+
+    const actualFile = await artifactPath(runId, 'visual', `${sanitizeKey(key)}-actual.png`);
+    await fs.writeFile(actualFile, screenshot);
+
+    if (!baselineBuffer) {
+        await fs.mkdir(path.dirname(baselineFile), { recursive: true });
+        await fs.writeFile(baselineFile, screenshot);
+        return { status: 'baselineCreated', diffPixels: 0, diffRatio: 0, images: { actual: artifactUrl(actualFile) } };
+    }
+
+    // The baseline is copied next to the actual image so the run keeps what it was compared with
+    const baselineCopy = await artifactPath(runId, 'visual', `${sanitizeKey(key)}-baseline.png`);
+    await fs.writeFile(baselineCopy, baselineBuffer);
+
+    const images = { baseline: artifactUrl(baselineCopy), actual: artifactUrl(actualFile) };
+    const baseline = PNG.sync.read(baselineBuffer);
+    const actual = PNG.sync.read(screenshot);
+
+    if (baseline.width !== actual.width || baseline.height !== actual.height) {
+        return {
+            status: 'sizeMismatch',
+            diffPixels: null,
+            diffRatio: 1,
+            images,
+            message: `Size ${actual.width}x${actual.height} differs from baseline ${baseline.width}x${baseline.height}`
+        };
+    }
+
+    maskRegions(baseline, regions);
+    maskRegions(actual, regions);
+
+    const diff = new PNG({ width: actual.width, height: actual.height });
+    const diffPixels = pixelmatch(baseline.data, actual.data, diff.data, actual.width, actual.height, { threshold });
+    const diffRatio = diffPixels / (actual.width * actual.height);
+
+    if (diffRatio <= maxDiffPixelRatio) {
+        return { status: 'match', diffPixels, diffRatio, images };
+    }
+
+    const diffFile = await artifactPath(runId, 'visual', `${sanitizeKey(key)}-diff.png`);
+    await fs.writeFile(diffFile, PNG.sync.write(diff));
+
+    return { status: 'mismatch', diffPixels, diffRatio, images: { ...images, diff: artifactUrl(diffFile) } };
+}
+
+/**
+ * Replaces a baseline with the actual image captured in a run.
+ * @param {string} runId
+ * @param {string} key
+ * @returns {Promise<boolean>} - false when the run has no actual image for that key.
+ */
+async function acceptBaseline(runId, key) {
+    const actual = await readIfExists(artifactFile(runId, 'visual', `${sanitizeKey(key)}-actual.png`));
+    if (!actual) return false;
+
+    const baselineFile = baselinePath(key);
+    await fs.mkdir(path.dirname(baselineFile), { recursive: true });
+    await fs.writeFile(baselineFile, actual);
+    return true;
+}
+
+module.exports = {
+    baselineKey,
+    compareWithBaseline,
+    acceptBaseline
+};
@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { runAssertions } = require('../../src/assertions');
+const AutomationService = require('../../src/automation');
+
+const service = (title) => ({ page: { title: async () => title } });
+
+const assertTitle = async (title, assertion, timeout = 0) => {
+    const [result] = await runAssertions({ assertions: { pageHasTitle: assertion } }, service(title), { timeout });
+    return result;
+};
+
+test('compares with the requested operator', async () => {
+    assert.equal((await assertTitle('Checkout', { value: 'check' })).success, true);
+    assert.equal((await assertTitle('Checkout', { value: 'Check', operator: 'equals' })).success, false);
+    assert.equal((await assertTitle('Checkout', { value: '^check', operator: 'matches' })).success, true);
+    assert.equal((await assertTitle('Total $1,299.00', { value: '1000', operator: 'greaterThan' })).success, true);
+    assert.equal((await assertTitle('Checkout', { value: 'Error', not: true })).success, true);
+});
+
+test('reports what was expected', async () => {
+    const result = await assertTitle('Checkout', { value: 'Cart', operator: 'startsWith' });
+    assert.equal(result.message, 'Assertion failed: Title is "Checkout", expected to start with "Cart"');
+});
+
+test('an unsupported operator or an invalid pattern fails without retrying', async () => {
+    const unsupported = await assertTitle('Checkout', { value: 'x', operator: 'near' }, 2000);
+    assert.equal(unsupported.success, false);
+    assert.match(unsupported.message, /Unsupported operator: near/);
+    assert.ok(unsupported.waitedMs < 250);
+
+    const invalid = await assertTitle('Checkout', { value: '(', operator: 'matches' }, 2000);
+    assert.equal(invalid.success, false);
+    assert.match(invalid.message, /Invalid pattern/);
+    assert.ok(invalid.waitedMs < 250);
+});
+test('retries a failing assertion until its timeout', async () => {
+    const result = await assertTitle('Checkout', { value: 'Cart' }, 300);
+    assert.equal(result.success, false);
+    assert.ok(result.waitedMs >= 300);
+});
+
+test('passes as soon as the page catches up', async () => {
+    let calls = 0;
+    const page = { title: async () => (++calls < 3 ? 'Loading' : 'Checkout') };
+    const [result] = await runAssertions({ assertions: { pageHasTitle: { value: 'Checkout' } } }, { page }, { timeout: 2000 });
+
+    assert.equal(result.success, true);
+    assert.equal(calls, 3);
+});
+
+// A frame holding recorded elements by selector; waitForSelector honours the requested state
+const elementFrame = (elements) => ({
+    waitForSelector: async (selector, { timeout, state = 'visible' }) => {
+        const element = elements[selector];
+        if (!element || (state === 'visible' && element.hidden)) {
+            await new Promise(resolve => setTimeout(resolve, timeout));
+            throw new Error(`Timeout ${timeout}ms exceeded waiting for ${selector}`);
+        }
+        return {};
+    },
+    locator: (selector) => ({
+        first: () => ({
+            evaluate: async () => elements[selector].value,
+            isVisible: async () => !elements[selector].hidden
+        })
+    })
+});
+
+const elementService = (frame) => ({
+    page: frame,
+    healedLocators: new Map(),
+    resolveSelector: AutomationService.prototype.resolveSelector
+});
+
+test('element assertions find hidden elements', async () => {
+    const frame = elementFrame({ '#token': { hidden: true, value: 'abc' } });
+    const action = {
+        element: { uniqueSelector: '#token' },
+        assertions: { formHasValue: { value: 'abc' } }
+    };
+
+    const [result] = await runAssertions(action, elementService(frame), { timeout: 0 });
+    assert.equal(result.success, true);
+});
+
+test('a passing elementIsHidden does not wait for the element to become visible', async () => {
+    const frame = elementFrame({ '#spinner': { hidden: true }, '//div[1]': { hidden: true } });
+    const action = {
+        element: { uniqueSelector: '#spinner', xpath: ['//div[1]'] },
+        assertions: { elementIsHidden: {} }
+    };
+
+    const startedAt = Date.now();
+    const [result] = await runAssertions(action, elementService(frame), { timeout: 2000 });
+    assert.equal(result.success, true);
+    assert.ok(Date.now() - startedAt < 250);
+});
+
+test('elementCount counts the matches of its selector and requires one', async () => {
+    const page = { locator: (selector) => ({ count: async () => (selector === '.row' ? 3 : 0) }) };
+
+    const [counted] = await runAssertions({ assertions: { elementCount: { selector: '.row', value: 3 } } }, { page });
+    assert.equal(counted.success, true);
+
+    const [missing] = await runAssertions({ assertions: { elementCount: { value: 1 } } }, { page }, { timeout: 2000 });
+    assert.equal(missing.success, false);
+    assert.match(missing.message, /elementCount requires a selector/);
+    assert.ok(missing.waitedMs < 250);
+});
+
+const trafficService = (traffic) => ({ page: {}, traffic });
+
+test('requestMade and responseStatus look at the step traffic', async () => {
+    const service = trafficService([
+        { url: 'https://shop.test/api/cart', method: 'GET', status: 200, failure: null, response: null },
+        { url: 'https://shop.test/api/orders/7', method: 'POST', status: 201, failure: null, response: null }
+    ]);
+
+    const results = await runAssertions({
+        assertions: {
+            requestMade: { url: '*/api/orders/*', method: 'post' },
+            responseStatus: { url: '/\\/orders\\/\\d+$/', value: '2xx' }
+        }
+    }, service, { soft: true });
+
+    assert.deepEqual(results.map(result => result.success), [true, true]);
+    assert.equal(results[0].message, 'POST request to */api/orders/* was made');
+});
+
+test('requestMade with not fails when the request was made', async () => {
+    const service = trafficService([{ url: 'https://shop.test/track', method: 'GET', status: 204, failure: null }]);
+
+    const [result] = await runAssertions({ assertions: { requestMade: { url: '/track', not: true, timeout: 0 } } }, service);
+    assert.equal(result.success, false);
+    assert.equal(result.message, 'Assertion failed: Unexpected request to /track was made');
+});
+
+test('responseJson reads a field of the response body', async () => {
+    const response = { json: async () => ({ order: { id: 7, items: [1, 2] } }) };
+    const service = trafficService([{ url: 'https://shop.test/api/orders', method: 'POST', status: 201, failure: null, response }]);
+
+    const [result] = await runAssertions({ assertions: { responseJson: { url: '/api/orders', path: 'order.id', value: '7' } } }, service);
+    assert.equal(result.success, true);
+});
@@ -0,0 +1,206 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AutomationService = require('../../src/automation');
+
+test('concurrent close() calls share one close and keep the video directory until videos are saved', async () => {
+    const service = new AutomationService();
+    const videoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'automation-test-'));
+    const steps = [];
+
+    const page = {
+        close: async () => steps.push('page closed'),
+        video: () => ({
+            saveAs: async () => {
+                await new Promise(resolve => setTimeout(resolve, 20));
+                steps.push(fs.existsSync(videoDir) ? 'video saved' : 'video dir gone');
+            }
+        })
+    };
+    service.browser = { close: async () => steps.push('browser closed') };
+    service.videoDir = videoDir;
+    service.videoFiles.set(page, path.join(videoDir, 'out.webm'));
+
+    const first = service.close();
+    const second = service.close();
+    assert.equal(first, second);
+
+    await second;
+    assert.deepEqual(steps, ['page closed', 'video saved', 'browser closed']);
+    assert.equal(fs.existsSync(videoDir), false);
+});
+
+// A tab as seen by AutomationService; closing it updates the service like the context's close event
+function fakeTab(service, url, title) {
+    const tab = {
+        url: () => url,
+        title: async () => title,
+        bringToFront: async () => {},
+        waitForLoadState: async () => {},
+        close: async () => {
+            service.pages = service.pages.filter(page => page !== tab);
+        }
+    };
+    service.pages.push(tab);
+    return tab;
+}
+
+test('switchTab picks the newest tab matching the URL or title pattern', async () => {
+    const service = new AutomationService();
+    const shop = fakeTab(service, 'https://shop.test/', 'Shop');
+    const olderPopup = fakeTab(service, 'https://pay.test/checkout?step=1', 'Payment');
+    const popup = fakeTab(service, 'https://pay.test/checkout?step=2', 'Payment');
+    service.page = shop;
+
+    assert.equal(await service.switchTab({ url: 'https://pay.test/*' }), popup);
+    assert.equal(service.page, popup);
+
+    assert.equal(await service.switchTab({ title: 'Shop' }), shop);
+    assert.equal(await service.switchTab({ url: '/step=1$/' }), olderPopup);
+
+    await assert.rejects(service.switchTab({ title: 'Help', timeout: 0 }), /No tab matching title "Help" within 0ms/);
+});
+
+test('switchTab without a pattern takes the newest tab, and closeTab goes back', async () => {
+    const service = new AutomationService();
+    const shop = fakeTab(service, 'https://shop.test/', 'Shop');
+    service.page = shop;
+
+    await assert.rejects(service.switchTab({ timeout: 0 }), /No new tab opened within 0ms/);
+
+    const popup = fakeTab(service, 'https://login.test/', 'Sign in');
+    assert.equal(await service.switchTab(), popup);
+
+    await service.closeTab();
+    assert.equal(service.page, shop);
+    assert.deepEqual(service.pages, [shop]);
+    await assert.rejects(service.closeTab(), /Cannot close the only open tab/);
+});
+
+// A page that only records keyboard input
+function keyboardService() {
+    const service = new AutomationService();
+    const keys = [];
+    service.page = {
+        keyboard: {
+            press: async (key) => keys.push(`press ${key}`),
+            down: async (key) => keys.push(`down ${key}`),
+            up: async (key) => keys.push(`up ${key}`)
+        }
+    };
+    return { service, keys };
+}
+
+test('keyPress normalizes recorded key combos to Playwright key names', async () => {
+    const combos = {
+        'ctrl+a': 'Control+a',
+        'Shift + Tab': 'Shift+Tab',
+        'cmd+K': 'Meta+K',
+        'mod+shift+z': 'ControlOrMeta+Shift+z',
+        'esc': 'Escape',
+        'ctrl++': 'Control++',
+        'pagedown': 'PageDown'
+    };
+
+    for (const [combo, expected] of Object.entries(combos)) {
+        const { service, keys } = keyboardService();
+        const result = await service.performAction({ type: 'keyPress', key: combo });
+        assert.equal(result.success, true);
+        assert.deepEqual(keys, [`press ${expected}`], combo);
+    }
+});
+
+test('keyPress repeats and requires a key', async () => {
+    const { service, keys } = keyboardService();
+    const result = await service.performAction({ type: 'keyPress', key: 'down', repeat: 3 });
+    assert.equal(result.message, 'Pressed ArrowDown 3 times');
+    assert.deepEqual(keys, Array(3).fill('press ArrowDown'));
+
+    const missing = await service.performAction({ type: 'keyPress' });
+    assert.equal(missing.success, false);
+    assert.match(missing.message, /keyPress action requires a key/);
+});
+
+test('withModifiers holds the modifiers during the gesture and releases them in reverse', async () => {
+    const { service, keys } = keyboardService();
+
+    await assert.rejects(service.withModifiers(['ctrl', 'shift'], async () => {
+        keys.push('click');
+        throw new Error('click failed');
+    }), /click failed/);
+
+    assert.deepEqual(keys, ['down Control', 'down Shift', 'click', 'up Shift', 'up Control']);
+});
+
+function fakeDialog(type, message, defaultValue = '') {
+    const dialog = {
+        answer: null,
+        type: () => type,
+        message: () => message,
+        defaultValue: () => defaultValue,
+        accept: async (text) => { dialog.answer = { accepted: true, text }; },
+        dismiss: async () => { dialog.answer = { accepted: false }; }
+    };
+    return dialog;
+}
+
+test('armDialogResponse takes the answer from the step itself', () => {
+    const service = new AutomationService();
+
+    service.armDialogResponse([{ type: 'click', dialog: { promptText: 'Ada' } }], 0);
+    assert.deepEqual(service.dialogResponses, [{ accept: true, promptText: 'Ada' }]);
+
+    service.armDialogResponse([{ type: 'click', dialog: { accept: false } }], 0);
+    assert.deepEqual(service.dialogResponses, [{ accept: false, promptText: undefined }]);
+});
+
+test('armDialogResponse reads the dialog steps recorded after the step', () => {
+    const service = new AutomationService();
+    const actions = [
+        { type: 'click' },
+        { type: 'change', value: 'Grace', element: { isAlert: true } },
+        { type: 'mousedown', element: { isAlert: true, text: 'OK' } },
+        { type: 'click' },
+        { type: 'dismissDialog' },
+        { type: 'click' },
+        { type: 'mousedown', element: { isAlert: true, text: 'Cancel' } },
+        { type: 'acceptDialog' }
+    ];
+
+    service.armDialogResponse(actions, 0);
+    assert.deepEqual(service.dialogResponses, [{ accept: true, promptText: 'Grace' }]);
+
+    service.armDialogResponse(actions, 3);
+    assert.deepEqual(service.dialogResponses, [{ accept: false, promptText: undefined }]);
+
+    // The Cancel click closes that dialog; the acceptDialog after it belongs to another one
+    service.armDialogResponse(actions, 5);
+    assert.deepEqual(service.dialogResponses, [{ accept: false, promptText: undefined }]);
+
+    service.armDialogResponse(actions, 4);
+    assert.deepEqual(service.dialogResponses, [{ accept: false, promptText: undefined }]);
+
+    service.armDialogResponse([{ type: 'click' }, { type: 'click' }], 0);
+    assert.deepEqual(service.dialogResponses, []);
+});
+
+test('handleDialog answers with the armed response and dismisses unexpected dialogs', async () => {
+    const service = new AutomationService();
+
+    service.armDialogResponse([{ type: 'click', dialog: { promptText: 'Ada' } }], 0);
+    const prompt = fakeDialog('prompt', 'Your name?', 'Anonymous');
+    await service.handleDialog(prompt);
+    assert.deepEqual(prompt.answer, { accepted: true, text: 'Ada' });
+
+    const unexpected = fakeDialog('confirm', 'Leave the page?');
+    await service.handleDialog(unexpected);
+    assert.deepEqual(unexpected.answer, { accepted: false });
+
+    assert.deepEqual(service.dialogs.map(entry => [entry.type, entry.action, entry.promptText]), [
+        ['prompt', 'accepted', 'Ada'],
+        ['confirm', 'dismissed', null]
+    ]);
+    assert.equal(service.lastDialog.message, 'Leave the page?');
+});
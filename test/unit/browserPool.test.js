@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { BrowserSlots } = require('../../src/browserPool');
+
+test('never grants more slots than the limit', async () => {
+    const slots = new BrowserSlots(2);
+    let open = 0;
+    let peak = 0;
+
+    await Promise.all(Array.from({ length: 6 }, async () => {
+        const release = await slots.acquire();
+        open++;
+        peak = Math.max(peak, open);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        open--;
+        release();
+    }));
+
+    assert.equal(peak, 2);
+    assert.equal(slots.inUse, 0);
+});
+
+test('waiters are granted slots in FIFO order', async () => {
+    const slots = new BrowserSlots(1);
+    const release = await slots.acquire();
+    const granted = [];
+
+    const waiters = [1, 2].map(n => slots.acquire().then((releaseWaiter) => {
+        granted.push(n);
+        releaseWaiter();
+    }));
+    release();
+    await Promise.all(waiters);
+
+    assert.deepEqual(granted, [1, 2]);
+});
+
+test('releasing a slot twice frees it only once', async () => {
+    const slots = new BrowserSlots(2);
+    const release = await slots.acquire();
+    await slots.acquire();
+
+    release();
+    release();
+    assert.equal(slots.inUse, 1);
+});
+
+test('an aborted signal stops waiting for a slot', async () => {
+    const slots = new BrowserSlots(1);
+    const release = await slots.acquire();
+    const controller = new AbortController();
+
+    const waiting = slots.acquire(controller.signal);
+    controller.abort();
+    await assert.rejects(waiting, /Run cancelled/);
+    assert.equal(slots.waiting.length, 0);
+
+    await assert.rejects(slots.acquire(controller.signal), /Run cancelled/);
+    release();
+    assert.equal(slots.inUse, 0);
+});
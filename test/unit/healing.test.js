@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyHealedLocator, healElement } = require('../../src/healing');
+
+const healed = { selector: '#pay-now', css: '#pay-now', xpath: '/html[1]/body[1]/button[2]', score: 65 };
+
+test('applyHealedLocator puts the healed locator first and keeps the old XPaths as fallbacks', () => {
+    const element = { uniqueSelector: '#pay', xpath: ['/html[1]/body[1]/button[1]', '/html[1]/body[1]/button[2]'], text: 'Pay' };
+
+    assert.deepEqual(applyHealedLocator(element, healed), {
+        uniqueSelector: '#pay-now',
+        xpath: ['/html[1]/body[1]/button[2]', '/html[1]/body[1]/button[1]'],
+        text: 'Pay'
+    });
+    // The recorded element itself is left alone
+    assert.equal(element.uniqueSelector, '#pay');
+});
+
+test('applyHealedLocator drops a stale uniqueSelector when the heal has no CSS selector', () => {
+    const element = { uniqueSelector: '#pay', xpath: '/html[1]/body[1]/button[1]' };
+    const updated = applyHealedLocator(element, { ...healed, css: null, selector: `xpath=${healed.xpath}` });
+
+    assert.equal('uniqueSelector' in updated, false);
+    assert.deepEqual(updated.xpath, ['/html[1]/body[1]/button[2]', '/html[1]/body[1]/button[1]']);
+});
+
+// Stands in for the page: returns the scoring result healElement would get from the browser
+const frameReturning = (best) => ({ evaluate: async () => best });
+
+test('healElement only accepts a clear winner above the minimum score', async () => {
+    const element = { tagName: 'BUTTON', text: 'Pay now', classes: 'btn primary' };
+    const best = { score: 55, runnerUpScore: 20, matched: ['text', 'classes'], tagName: 'button', text: 'pay now', css: null, xpath: '/html[1]/body[1]/button[1]' };
+
+    assert.deepEqual(await healElement(frameReturning(best), element), {
+        selector: 'xpath=/html[1]/body[1]/button[1]',
+        score: 55,
+        matched: ['text', 'classes'],
+        tagName: 'button',
+        text: 'pay now',
+        css: null,
+        xpath: '/html[1]/body[1]/button[1]'
+    });
+    assert.equal(await healElement(frameReturning(best), element, { minScore: 60 }), null);
+    assert.equal(await healElement(frameReturning({ ...best, runnerUpScore: 55 }), element), null);
+    assert.equal(await healElement(frameReturning(null), element), null);
+});
+
+test('healElement needs recorded attributes to score against', async () => {
+    let evaluated = false;
+    const frame = { evaluate: async () => { evaluated = true; } };
+
+    assert.equal(await healElement(frame, { tagName: 'div' }), null);
+    assert.equal(await healElement(frame, null), null);
+    assert.equal(evaluated, false);
+});
@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { JobQueue, serializeJob } = require('../../src/jobs');
+
+const finished = (job) => (job.status === 'finished' ? Promise.resolve() : once(job.emitter, 'end'));
+
+test('runs jobs in FIFO order, maxConcurrentRuns at a time', async () => {
+    const order = [];
+    let running = 0;
+    const queue = new JobQueue(async (job) => {
+        running++;
+        assert.equal(running, 1);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        order.push(job.payload.n);
+        running--;
+        return { status: 'passed' };
+    }, { maxConcurrentRuns: 1 });
+
+    const jobs = [1, 2, 3].map(n => queue.enqueue({ n }));
+    assert.equal(jobs[0].status, 'running');
+    assert.equal(jobs[1].status, 'queued');
+
+    await Promise.all(jobs.map(finished));
+    assert.deepEqual(order, [1, 2, 3]);
+    assert.equal(serializeJob(jobs[2]).report.status, 'passed');
+});
+
+test('runs up to maxConcurrentRuns jobs side by side', async () => {
+    let running = 0;
+    let peak = 0;
+    const queue = new JobQueue(async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return { status: 'passed' };
+    }, { maxConcurrentRuns: 2 });
+
+    const jobs = [1, 2, 3, 4].map(n => queue.enqueue({ n }));
+    assert.deepEqual(jobs.map(job => job.status), ['running', 'running', 'queued', 'queued']);
+
+    await Promise.all(jobs.map(finished));
+    assert.equal(peak, 2);
+    assert.equal(queue.running, 0);
+});
+
+test('cancelling a queued job drops it without running it', async () => {
+    const ran = [];
+    const queue = new JobQueue(async (job) => {
+        ran.push(job.payload.n);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return { status: 'passed' };
+    }, { maxConcurrentRuns: 1 });
+
+    const first = queue.enqueue({ n: 1 });
+    const second = queue.enqueue({ n: 2 });
+    queue.cancel(second.id);
+
+    assert.equal(second.status, 'finished');
+    assert.equal(second.cancelled, true);
+    assert.deepEqual(second.events.map(entry => entry.data.status), ['cancelled']);
+
+    await finished(first);
+    assert.deepEqual(ran, [1]);
+});
+
+test('cancelling a running job aborts its signal', async () => {
+    const queue = new JobQueue((job) => new Promise((resolve, reject) => {
+        job.abortController.signal.addEventListener('abort', () => reject(new Error('Run cancelled')));
+    }));
+
+    const job = queue.enqueue({});
+    const events = [];
+    job.emitter.on('event', entry => events.push(entry));
+    const ended = finished(job);
+
+    assert.equal(queue.cancel(job.id), job);
+    await ended;
+
+    assert.equal(job.cancelled, true);
+    assert.equal(job.error.message, 'Run cancelled');
+    assert.deepEqual(events.map(entry => [entry.event, entry.data.status]), [['runFinished', 'cancelled']]);
+});
+
+test('finished jobs drop their emitter and keep only the runFinished event', async () => {
+    const queue = new JobQueue(async (job) => {
+        queue.publish(job, 'testCaseStart', { index: 1 });
+        return { status: 'passed' };
+    });
+
+    const job = queue.enqueue({});
+    await finished(job);
+
+    assert.equal(job.emitter, null);
+    assert.deepEqual(job.events, [{ id: 2, event: 'runFinished', data: { status: 'passed', error: null } }]);
+});
+
+test('keeps at most maxFinishedJobs finished jobs, oldest dropped first', async () => {
+    const queue = new JobQueue(async () => ({ status: 'passed' }), { maxFinishedJobs: 2 });
+
+    const jobs = [1, 2, 3].map(n => queue.enqueue({ n }));
+    await Promise.all(jobs.map(finished));
+
+    assert.equal(queue.get(jobs[0].id), null);
+    assert.equal(queue.get(jobs[1].id), jobs[1]);
+    assert.equal(queue.get(jobs[2].id), jobs[2]);
+});
+
+test('drops finished jobs once their TTL has passed', async () => {
+    const queue = new JobQueue(async () => ({ status: 'passed' }), { finishedJobTtlMs: 20 });
+
+    const job = queue.enqueue({});
+    await finished(job);
+    assert.equal(queue.get(job.id), job);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(queue.get(job.id), null);
+});
+
+test('FINISHED_JOB_TTL_MS=0 drops finished jobs right away', async () => {
+    const previous = process.env.FINISHED_JOB_TTL_MS;
+    process.env.FINISHED_JOB_TTL_MS = '0';
+    delete require.cache[require.resolve('../../src/jobs')];
+    try {
+        const { JobQueue: FreshJobQueue } = require('../../src/jobs');
+        const queue = new FreshJobQueue(async () => ({ status: 'passed' }));
+
+        const job = queue.enqueue({});
+        await finished(job);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        assert.equal(queue.get(job.id), null);
+    } finally {
+        if (previous === undefined) delete process.env.FINISHED_JOB_TTL_MS;
+        else process.env.FINISHED_JOB_TTL_MS = previous;
+    }
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toJUnitXml, toHtml } = require('../../src/reports');
+
+const record = (name, status, { browser = 'chromium', duration = 1500, results = [], ...rest } = {}) => ({
+    name,
+    status,
+    module_id: 4,
+    result: { browser, duration, results, passed: 0, failed: 0, skipped: 0, total: results.length },
+    ...rest
+});
+
+const failingStep = { sequence: 2, description: 'Click "Pay"', status: 'fail', message: 'Element <button> not found', assertions: [] };
+
+const records = [
+    record('Login', 'pass', { results: [{ sequence: 1, description: 'Open', status: 'pass', message: 'ok', assertions: [{ type: 'pageHasTitle', success: true, message: 'Title ok' }] }] }),
+    record('Checkout & pay', 'fail', { results: [failingStep] }),
+    record('Search', 'flaky'),
+    record('Login', 'cancelled', { browser: 'firefox', duration: 0 })
+];
+
+test('toJUnitXml writes one testsuite per browser with totals', () => {
+    const xml = toJUnitXml(records, { runId: 'run-1' });
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="run run-1" tests="4" failures="1" errors="0" skipped="1" time="4.500">/);
+    assert.match(xml, /<testsuite name="chromium" tests="3" failures="1" errors="0" skipped="0" time="4.500">/);
+    assert.match(xml, /<testsuite name="firefox" tests="1" failures="0" errors="0" skipped="1" time="0.000">/);
+    assert.match(xml, /<testcase name="Login" classname="module.4.chromium" time="1.500">/);
+});
+
+test('toJUnitXml reports failures, cancellations and flaky test cases', () => {
+    const xml = toJUnitXml(records, { runId: 'run-1' });
+
+    assert.match(xml, /<testcase name="Checkout &amp; pay"[^>]*>\n\s*<failure message="Element &lt;button&gt; not found" type="AssertionError">Step 2 \(Click &quot;Pay&quot;\): Element &lt;button&gt; not found<\/failure>/);
+    assert.match(xml, /<skipped message="Run cancelled"\/>/);
+    assert.match(xml, /<property name="flaky" value="true"\/>/);
+    assert.match(xml, /<system-out>\[pass\] 1. Open: ok\n {4}✓ pageHasTitle: Title ok<\/system-out>/);
+});
+
+test('toJUnitXml drops characters XML 1.0 does not allow', () => {
+    const xml = toJUnitXml([record('Bell\u0007 test', 'pass')]);
+    assert.match(xml, /<testcase name="Bell test"/);
+});
+
+test('toHtml renders every test case with escaped content and opens failures', () => {
+    const html = toHtml(records, { runId: 'run-1', createdAt: '2024-01-01T00:00:00Z' });
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>Run report run-1<\/title>/);
+    assert.equal((html.match(/<details/g) || []).length, 4);
+    assert.match(html, /<details open>\s*<summary><span class="badge"[^>]*>fail<\/span> Checkout &amp; pay/);
+    assert.match(html, /Element &lt;button&gt; not found/);
+    assert.doesNotMatch(html, /<button>/);
+});
+
+test('toHtml links artifacts and embeds the failure screenshot', () => {
+    const html = toHtml([
+        record('Checkout', 'fail', {
+            results: [failingStep],
+            fail_screenShot: 'data:image/png;base64,AAAA'
+        })
+    ].map(item => ({ ...item, result: { ...item.result, artifacts: { trace: '/artifacts/run/trace.zip', video: null } } })));
+
+    assert.match(html, /<a href="\/artifacts\/run\/trace.zip">trace<\/a>/);
+    assert.doesNotMatch(html, />video</);
+    assert.match(html, /<img class="screenshot" alt="Failure screenshot" src="data:image\/png;base64,AAAA">/);
+});
@@ -0,0 +1,216 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'runner-test-'));
+process.env.STORE_BACKEND = 'file';
+process.env.STORE_DIR = storeDir;
+
+const AutomationService = require('../../src/automation');
+const { executeRun } = require('../../src/runner');
+const store = require('../../src/store');
+const { browserSlots } = require('../../src/browserPool');
+
+// Browsers are stubbed: a launch either succeeds or throws, and every step passes after
+// `ms` milliseconds unless it is marked `fail` (or `failTimes`, for its first n runs);
+// a step with `heal` reports that heal for its element
+let launches;
+let failLaunch;
+let openBrowsers = 0;
+let peakBrowsers = 0;
+const stepRuns = new WeakMap();
+
+AutomationService.prototype.init = async function ({ browserName }) {
+    launches.push(browserName);
+    if (failLaunch(browserName, launches.length)) {
+        throw new Error(`launch boom (${browserName})`);
+    }
+    openBrowsers++;
+    peakBrowsers = Math.max(peakBrowsers, openBrowsers);
+    this.browser = { close: async () => { openBrowsers--; } };
+};
+AutomationService.prototype.closeOtherTabs = async () => {};
+AutomationService.prototype.captureScreenshot = async () => null;
+AutomationService.prototype.runActionsStopOnFailure = async function (actions, { signal, onStep } = {}) {
+    const results = [];
+    for (const [i, action] of actions.entries()) {
+        await new Promise(resolve => setTimeout(resolve, action.ms ?? 5));
+        const result = {
+            sequence: i + 1,
+            description: action.type,
+            status: 'pass',
+            message: '',
+            assertions: []
+        };
+        const runs = (stepRuns.get(action) || 0) + 1;
+        stepRuns.set(action, runs);
+        if (signal?.aborted) {
+            result.status = 'skipped';
+        } else if (action.fail || runs <= (action.failTimes || 0)) {
+            result.status = 'fail';
+            result.message = `${action.type} failed`;
+        }
+        if (action.heal) this.healedLocators.set(action.element, action.heal);
+        results.push(result);
+        if (onStep) onStep(result);
+    }
+    return results;
+};
+
+const payload = (overrides = {}) => ({ moduleIds: [1], userId: 'u1', projectId: 'p1', ...overrides });
+
+function seedTestCases(count, actions = () => [{ type: 'click' }]) {
+    const testCases = Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        name: `Test case ${i + 1}`,
+        module_id: 1,
+        user_id: 'u1',
+        project_id: 'p1',
+        created_at: new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString(),
+        actions: actions(i)
+    }));
+    fs.writeFileSync(path.join(storeDir, 'test_cases.json'), JSON.stringify(testCases));
+}
+
+beforeEach(() => {
+    launches = [];
+    failLaunch = () => false;
+    peakBrowsers = 0;
+});
+
+after(() => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+test('a worker that cannot launch stops alone; the other workers run every test case', async () => {
+    seedTestCases(6);
+    failLaunch = (browser, launch) => launch === 2;
+
+    const { report } = await executeRun(payload({ workers: 3 }));
+
+    assert.equal(report.status, 'passed');
+    assert.deepEqual(report.testCases.map(result => result.status), Array(6).fill('pass'));
+});
+
+test('a browser that cannot launch fails its own column and the others finish', async () => {
+    seedTestCases(2);
+    failLaunch = (browser) => browser === 'firefox';
+
+    const { report, records } = await executeRun(payload({ browsers: ['chromium', 'firefox'], workers: 2 }));
+
+    assert.equal(report.status, 'failed');
+    assert.deepEqual(report.matrix.rows.map(row => row.results), [
+        { chromium: 'pass', firefox: 'fail' },
+        { chromium: 'pass', firefox: 'fail' }
+    ]);
+    const firefoxResult = report.testCases.find(result => result.browser === 'firefox');
+    assert.equal(firefoxResult.results[0].message, 'launch boom (firefox)');
+    assert.equal(records.length, 4);
+});
+
+test('persists every attempt of a flaky test case', async () => {
+    seedTestCases(1, () => [{ type: 'click' }, { type: 'submit', failTimes: 1 }]);
+
+    const { report, records } = await executeRun(payload({ retries: { testCase: 1 } }));
+
+    assert.equal(report.testCases[0].status, 'flaky');
+    assert.equal(records[0].status, 'flaky');
+    assert.deepEqual(records[0].result.attempts, [
+        {
+            attempt: 1,
+            status: 'fail',
+            passed: 1,
+            failed: 1,
+            skipped: 0,
+            total: 2,
+            failures: [{ sequence: 2, description: 'submit', message: 'submit failed' }]
+        },
+        { attempt: 2, status: 'pass', passed: 2, failed: 0, skipped: 0, total: 2, failures: [] }
+    ]);
+});
+
+test('cancelling a run records the unfinished test cases as cancelled', async () => {
+    seedTestCases(3, () => [{ type: 'click', ms: 20 }, { type: 'submit', ms: 20 }]);
+    const controller = new AbortController();
+    const onEvent = (event) => {
+        if (event === 'testCaseFinish') controller.abort();
+    };
+
+    const { report, records } = await executeRun(payload(), { onEvent, signal: controller.signal });
+
+    assert.equal(report.status, 'cancelled');
+    assert.deepEqual(report.testCases.map(result => result.status), ['pass', 'cancelled', 'cancelled']);
+    assert.equal(records.length, 3);
+});
+
+test('healed locators are written back only when asked and the test case passed', async () => {
+    const heal = { selector: '#pay-now', css: '#pay-now', xpath: '/html[1]/body[1]/button[2]', score: 60 };
+    const storedActions = async () => (await store.fetchTestCase(1)).actions;
+
+    seedTestCases(1, () => [{ type: 'click', element: { uniqueSelector: '#pay' }, heal }]);
+    await executeRun(payload());
+    assert.equal((await storedActions())[0].element.uniqueSelector, '#pay');
+
+    seedTestCases(1, () => [{ type: 'click', element: { uniqueSelector: '#pay' }, heal }, { type: 'submit', fail: true }]);
+    await executeRun(payload({ selfHealing: { writeBack: true } }));
+    assert.equal((await storedActions())[0].element.uniqueSelector, '#pay');
+
+    seedTestCases(1, () => [{ type: 'click', element: { uniqueSelector: '#pay' }, heal }]);
+    const { records } = await executeRun(payload({ selfHealing: { writeBack: true } }));
+    assert.equal(records[0].result.healedLocatorsSaved, 1);
+    assert.deepEqual((await storedActions())[0].element, { uniqueSelector: '#pay-now', xpath: ['/html[1]/body[1]/button[2]'] });
+});
+
+test('workers share the test cases and the report keeps the selection order', async () => {
+    // Earlier test cases take longer, so they finish last
+    seedTestCases(6, (i) => [{ type: 'click', ms: 40 - i * 5 }]);
+
+    const { report, records } = await executeRun(payload({ workers: 3 }));
+
+    assert.equal(launches.length, 3);
+    assert.deepEqual(report.testCases.map(result => result.testCaseId), [1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(records.map(record => record.test_case), [1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(report.matrix.rows.map(row => row.results), Array(6).fill({ chromium: 'pass' }));
+});
+
+test('browsers stay within the server-wide slot cap', async () => {
+    seedTestCases(4);
+
+    await executeRun(payload({ browsers: ['chromium', 'firefox', 'webkit'], workers: 4 }));
+
+    assert.equal(peakBrowsers, browserSlots.limit);
+    assert.equal(browserSlots.inUse, 0);
+});
+
+test('a worker that gets a slot after the test cases ran out launches nothing', async () => {
+    seedTestCases(2);
+    // Leave the run a single slot: the second worker waits until the first one is done
+    const held = await Promise.all(Array.from({ length: browserSlots.limit - 1 }, () => browserSlots.acquire()));
+    try {
+        const { report } = await executeRun(payload({ workers: 2 }));
+        assert.equal(report.status, 'passed');
+        assert.deepEqual(launches, ['chromium']);
+    } finally {
+        held.forEach(release => release());
+    }
+});
+
+test('progress events follow each test case from start to finish', async () => {
+    seedTestCases(2, () => [{ type: 'click' }, { type: 'submit' }]);
+    const events = [];
+
+    await executeRun(payload(), { onEvent: (event, data) => events.push([event, data.testCaseId, data.sequence ?? data.status ?? data.index]) });
+
+    assert.deepEqual(events, [
+        ['testCaseStart', 1, 1],
+        ['step', 1, 1],
+        ['step', 1, 2],
+        ['testCaseFinish', 1, 'pass'],
+        ['testCaseStart', 2, 2],
+        ['step', 2, 1],
+        ['step', 2, 2],
+        ['testCaseFinish', 2, 'pass']
+    ]);
+});
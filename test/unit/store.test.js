@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+process.env.STORE_BACKEND = 'file';
+process.env.STORE_DIR = storeDir;
+
+const store = require('../../src/store');
+
+const readTable = (table) => JSON.parse(fs.readFileSync(path.join(storeDir, `${table}.json`), 'utf8'));
+
+before(() => {
+    const testCases = [
+        { id: 1, name: 'Second', module_id: 10, user_id: 'u1', project_id: 'p1', created_at: '2024-01-02T00:00:00Z', actions: [] },
+        { id: 2, name: 'First', module_id: 10, user_id: 'u1', project_id: 'p1', created_at: '2024-01-01T00:00:00Z', actions: [] },
+        { id: 3, name: 'Other project', module_id: 10, user_id: 'u1', project_id: 'p2', created_at: '2024-01-01T00:00:00Z', actions: [] },
+        { id: 4, name: 'Other module', module_id: 11, user_id: 'u1', project_id: 'p1', created_at: '2024-01-01T00:00:00Z', actions: [] }
+    ];
+    fs.writeFileSync(path.join(storeDir, 'test_cases.json'), JSON.stringify(testCases));
+});
+
+after(() => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+test('STORE_BACKEND=file selects the file adapter', () => {
+    assert.equal(store.backend, 'file');
+});
+
+test('fetchTestCase finds a test case by id and returns null for unknown ids', async () => {
+    assert.equal((await store.fetchTestCase('2')).name, 'First');
+    assert.equal(await store.fetchTestCase(99), null);
+});
+
+test('fetchTestCasesByModuleIds filters by module, user and project in created_at order', async () => {
+    const rows = await store.fetchTestCasesByModuleIds({ moduleIds: [10], userId: 'u1', projectId: 'p1' });
+    assert.deepEqual(rows.map(row => row.id), [2, 1]);
+    assert.deepEqual(await store.fetchTestCasesByModuleIds({ moduleIds: [], userId: 'u1', projectId: 'p1' }), []);
+});
+
+test('saveTestResults upserts the latest result and appends to run_history', async () => {
+    const record = { user_id: 'u1', test_case: 1, name: 'Second', project_id: 'p1', module_id: 10, fail_screenShot: null };
+
+    // Saved in parallel, as workers do
+    await Promise.all([
+        store.saveTestResults({ ...record, status: 'fail', result: { attempt: 1 } }),
+        store.saveTestResults({ ...record, status: 'pass', result: { attempt: 2 } })
+    ]);
+
+    const results = readTable('test_results');
+    assert.equal(results.length, 1);
+    assert.equal(results[0].status, 'pass');
+
+    const history = readTable('run_history');
+    assert.deepEqual(history.map(entry => entry.result.attempt), [1, 2]);
+    assert.ok(history.every(entry => entry.test_result_id === results[0].id));
+});
+
+test('updateTestCaseActions replaces the actions and rejects unknown test cases', async () => {
+    await store.updateTestCaseActions(1, [{ type: 'click' }]);
+    assert.deepEqual((await store.fetchTestCase(1)).actions, [{ type: 'click' }]);
+
+    await assert.rejects(store.updateTestCaseActions(99, []), /99 not found/);
+});
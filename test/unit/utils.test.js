@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchPattern } = require('../../src/utils');
+
+test('matchPattern treats /.../flags as a regular expression', () => {
+    assert.equal(matchPattern('/\\/api\\/orders\\/\\d+$/', 'https://shop.test/api/orders/42'), true);
+    assert.equal(matchPattern('/\\/api\\/orders\\/\\d+$/', 'https://shop.test/api/orders/new'), false);
+    assert.equal(matchPattern('/CHECKOUT/i', 'https://shop.test/checkout'), true);
+});
+
+test('matchPattern treats * as a wildcard over the whole text', () => {
+    assert.equal(matchPattern('https://shop.test/api/*', 'https://shop.test/api/cart?id=1'), true);
+    assert.equal(matchPattern('*/cart', 'https://shop.test/api/cart?id=1'), false);
+    assert.equal(matchPattern('*.test/*?id=1', 'https://shop.test/api/cart?id=1'), true);
+});
+
+test('matchPattern falls back to a substring match', () => {
+    assert.equal(matchPattern('/api/cart', 'https://shop.test/api/cart?id=1'), true);
+    assert.equal(matchPattern('/api/orders', 'https://shop.test/api/cart'), false);
+    assert.equal(matchPattern('', 'anything'), true);
+});
+
+test('matchPattern does not mistake a path for a regular expression with flags', () => {
+    assert.equal(matchPattern('/api/orders', 'https://shop.test/api/orders/7'), true);
+    assert.equal(matchPattern('/api/orders', 'https://shop.test/api/cart'), false);
+});
@@ -0,0 +1,103 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'visual-test-'));
+process.env.ARTIFACTS_DIR = path.join(tmpDir, 'artifacts');
+process.env.BASELINE_DIR = path.join(tmpDir, 'baselines');
+
+const { baselineKey, compareWithBaseline, acceptBaseline } = require('../../src/visual');
+const { artifactFile } = require('../../src/artifacts');
+
+const RUN_ID = '6f1c1a4e-8d7b-4c1e-9a55-0d6f3b2a9c10';
+
+// A white PNG, with an optional black square at the top left
+function png({ width = 20, height = 20, square = 0 } = {}) {
+    const image = new PNG({ width, height });
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (width * y + x) << 2;
+            const value = x < square && y < square ? 0 : 255;
+            image.data[idx] = value;
+            image.data[idx + 1] = value;
+            image.data[idx + 2] = value;
+            image.data[idx + 3] = 255;
+        }
+    }
+    return PNG.sync.write(image);
+}
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('baselineKey joins the parts into a file-safe key', () => {
+    assert.equal(baselineKey({ testCaseId: 7, browser: 'chromium', sequence: 3, name: 'hero/banner' }), '7-chromium-step3-hero_banner');
+    assert.equal(baselineKey({ testCaseId: 7, browser: 'webkit', sequence: 1 }), '7-webkit-step1');
+});
+
+test('the first comparison stores the screenshot as the baseline', async () => {
+    const result = await compareWithBaseline({ runId: RUN_ID, key: 'first', screenshot: png() });
+
+    assert.equal(result.status, 'baselineCreated');
+    assert.ok(fs.existsSync(path.join(process.env.BASELINE_DIR, 'first.png')));
+    assert.match(result.images.actual, new RegExp(`/artifacts/${RUN_ID}/visual/first-actual.png$`));
+});
+
+test('identical screenshots match and changed ones produce a diff', async () => {
+    await compareWithBaseline({ runId: RUN_ID, key: 'page', screenshot: png() });
+
+    const same = await compareWithBaseline({ runId: RUN_ID, key: 'page', screenshot: png() });
+    assert.equal(same.status, 'match');
+    assert.equal(same.diffPixels, 0);
+
+    const changed = await compareWithBaseline({ runId: RUN_ID, key: 'page', screenshot: png({ square: 10 }) });
+    assert.equal(changed.status, 'mismatch');
+    assert.equal(changed.diffPixels, 100);
+    assert.equal(changed.diffRatio, 0.25);
+    assert.ok(fs.existsSync(artifactFile(RUN_ID, 'visual', 'page-diff.png')));
+});
+
+test('masked regions and maxDiffPixelRatio tolerate differences', async () => {
+    await compareWithBaseline({ runId: RUN_ID, key: 'tolerant', screenshot: png() });
+
+    const masked = await compareWithBaseline({
+        runId: RUN_ID,
+        key: 'tolerant',
+        screenshot: png({ square: 10 }),
+        maskRegions: [{ x: 0, y: 0, width: 10, height: 10 }]
+    });
+    assert.equal(masked.status, 'match');
+
+    const tolerated = await compareWithBaseline({ runId: RUN_ID, key: 'tolerant', screenshot: png({ square: 10 }), maxDiffPixelRatio: 0.3 });
+    assert.equal(tolerated.status, 'match');
+});
+
+test('a screenshot of another size is a size mismatch', async () => {
+    await compareWithBaseline({ runId: RUN_ID, key: 'sized', screenshot: png() });
+
+    const result = await compareWithBaseline({ runId: RUN_ID, key: 'sized', screenshot: png({ width: 30 }) });
+    assert.equal(result.status, 'sizeMismatch');
+    assert.equal(result.message, 'Size 30x20 differs from baseline 20x20');
+});
+
+test('acceptBaseline replaces the baseline with the screenshot the run captured', async () => {
+    await compareWithBaseline({ runId: RUN_ID, key: 'accepted', screenshot: png() });
+    await compareWithBaseline({ runId: RUN_ID, key: 'accepted', screenshot: png({ square: 5 }) });
+
+    assert.equal(await acceptBaseline(RUN_ID, 'accepted'), true);
+    const result = await compareWithBaseline({ runId: RUN_ID, key: 'accepted', screenshot: png({ square: 5 }) });
+    assert.equal(result.status, 'match');
+
+    assert.equal(await acceptBaseline(RUN_ID, 'never-captured'), false);
+});
+
+test('artifact paths cannot leave the run directory', async () => {
+    assert.throws(() => artifactFile('..', 'visual', 'x.png'), /Invalid artifact path/);
+    assert.throws(() => artifactFile(RUN_ID, '.', 'x.png'), /Invalid artifact path/);
+    await assert.rejects(acceptBaseline('..', 'accepted'), /Invalid artifact path/);
+    assert.equal(artifactFile('../etc', 'passwd'), path.join(process.env.ARTIFACTS_DIR, '.._etc', 'passwd'));
+});